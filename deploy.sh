@@ -8,6 +8,10 @@ rm -rf dist
 # build
 npm run build
 
+# GitHub Pages answers unknown paths with 404.html, so deep links like
+# /3dmob/token/x500 still load the app and the router takes over
+cp dist/index.html dist/404.html
+
 # navigate into the build output directory
 cd dist
 
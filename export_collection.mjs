@@ -0,0 +1,91 @@
+// Renders every token in metadata/*-attributes.json to a .glb file, headless.
+//
+//   node export_collection.mjs [--out dir] [--ids x500,y351] [--force]
+//
+// Tokens that already have a .glb in the output directory are skipped, so an
+// interrupted run picks up where it stopped. --force re-exports them.
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+import attributes from './src/attributes.js';
+import traits from './src/traits.js';
+import mobModel from './src/model.js';
+import glb from './src/glb.js';
+
+const COLLECTIONS = ['monkiez', 'monkettez'];
+
+function readFile(file) {
+  return fs.readFileSync(new URL(file, import.meta.url), 'utf-8');
+}
+
+function parseArgs(argv) {
+  const args = { out: 'export', ids: null, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else if (argv[i] === '--ids') {
+      args.ids = new Set(argv[++i].split(',').map(id => id.trim().toLowerCase()));
+    } else if (argv[i] === '--force') {
+      args.force = true;
+    } else {
+      throw `unknown argument ${argv[i]}`;
+    }
+  }
+  return args;
+}
+
+// the unminified smoothvoxels build is a plain script that only registers its
+// A-Frame component when there is a window, same as in the web worker
+function loadSmoothVoxels() {
+  const context = vm.createContext({ console: console });
+  return vm.runInContext(readFile('./src/lib/smoothvoxels.1.1.0.js') + '\n;({ ModelReader, SvoxMeshGenerator })', context);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const { ModelReader, SvoxMeshGenerator } = loadSmoothVoxels();
+
+const tokens = COLLECTIONS
+  .flatMap(collection => JSON.parse(readFile(`./metadata/${collection}-attributes.json`)))
+  .filter(token => token && (!args.ids || args.ids.has(token.id)));
+
+fs.mkdirSync(args.out, { recursive: true });
+
+const failed = [];
+let exported = 0;
+let skipped = 0;
+
+for (const token of tokens) {
+  const name = `mob-${token.gender.toLowerCase()}-${token.id}`;
+  const file = path.join(args.out, name + '.glb');
+  if (!args.force && fs.existsSync(file)) {
+    skipped++;
+    continue;
+  }
+
+  try {
+    const loaded = traits.fromToken(token);
+    for (const u of loaded.unknown) {
+      console.warn(`${token.id}: unknown ${u.trait}: ${u.value}`);
+    }
+    const modelData = attributes.createModel(loaded.values);
+    const model = ModelReader.readFromString(mobModel.buildSvoxModel(modelData));
+    const data = glb.fromSvoxMesh(SvoxMeshGenerator.generate(model), name);
+
+    // write next to the target first so a killed run never leaves half a .glb behind
+    fs.writeFileSync(file + '.tmp', Buffer.from(data));
+    fs.renameSync(file + '.tmp', file);
+    exported++;
+    console.log(`${token.id} -> ${file}`);
+  } catch (error) {
+    failed.push(token.id);
+    console.error(`${token.id}: ${error.message || error}`);
+  }
+}
+
+console.log(`exported ${exported}, skipped ${skipped}, failed ${failed.length} of ${tokens.length} tokens`);
+if (failed.length) {
+  console.log(`retry with: --ids ${failed.join(',')}`);
+  process.exit(1);
+}
@@ -0,0 +1,90 @@
+// Converts a MagicaVoxel .vox trait into an entry for src/addons.js plus the
+// colors to use for it in src/palette.js.
+//
+//   node import_vox.mjs models/trait.vox --name trait --codes O,P,Q,R [--monkie] [--crop]
+//
+// --monkie: the trait was modelled on top of models/base_mob_monkie.vox, which
+// is subtracted so only the trait ends up in the addon. Otherwise the .vox
+// grid is taken to be the 15 x 19 x 23 monkie grid itself. Either way the
+// trait has to fit in that grid.
+// --crop: drops the voxels outside the grid instead, they are listed as
+// warnings.
+//
+//   node import_vox.mjs models/mob_block.vox --svox > src/assets/mob_block.js
+//
+// --svox: prints the whole model as a smoothvoxels module instead, e.g. for
+// a pedestal in src/families.js.
+
+import fs from 'fs';
+
+import vox from './src/vox.js';
+import mobModel from './src/model.js';
+
+const MONKIE_BASE = new URL('./models/base_mob_monkie.vox', import.meta.url);
+
+function parseArgs(argv) {
+  const args = { file: null, name: 'trait', codes: ['O', 'P', 'Q', 'R'], origin: null, base: null, crop: false, svox: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--name') {
+      args.name = argv[++i];
+    } else if (argv[i] === '--codes') {
+      args.codes = argv[++i].split(',');
+    } else if (argv[i] === '--svox') {
+      args.svox = true;
+    } else if (argv[i] === '--crop') {
+      args.crop = true;
+    } else if (argv[i] === '--monkie') {
+      args.origin = vox.MONKIE_ORIGIN;
+      args.base = MONKIE_BASE;
+    } else if (!args.file) {
+      args.file = argv[i];
+    } else {
+      throw `unknown argument ${argv[i]}`;
+    }
+  }
+  if (!args.file) {
+    throw 'usage: node import_vox.mjs <file.vox> [--name trait] [--codes O,P,Q,R] [--monkie] [--crop] [--svox]';
+  }
+  return args;
+}
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.svox) {
+    console.log(`// ${args.file} as a smoothvoxels model\nexport default \`${vox.toSvox(fs.readFileSync(args.file))}\`;`);
+    process.exit(0);
+  }
+  const result = vox.toAddon(fs.readFileSync(args.file), {
+    codes: args.codes,
+    origin: args.origin,
+    base: args.base && fs.readFileSync(args.base),
+    dimension: mobModel.BASE_DIM,
+    crop: args.crop,
+  });
+  const addon = result.addon;
+
+  for (const w of result.warnings) {
+    console.error(`warning: ${w}`);
+  }
+  for (const p of result.cropped) {
+    console.error(`warning:   cropped ${p.x} ${p.y} ${p.z} ${p.code === '-' ? 'erased' : p.color}`);
+  }
+
+  const problems = mobModel.validateAddon(addon, args.codes);
+  for (const p of problems) {
+    console.error(`warning: ${p.message}`);
+  }
+
+  console.log(`        ${args.name}: {
+          offset: [${addon.offset.join(', ')}],
+          dimension: [${addon.dimension.join(', ')}],
+          voxels: \`${addon.voxels}\`,
+        },`);
+  console.log(`\n// colors: ${JSON.stringify(result.colors)}`);
+  for (const code in result.palette) {
+    console.log(`//   ${code}: ${result.palette[code]}`);
+  }
+} catch (error) {
+  console.error(error.message || error);
+  process.exit(1);
+}
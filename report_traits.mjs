@@ -0,0 +1,36 @@
+// Lists every on-chain trait value that has no matching 3D option in
+// src/attributes.js, so we know which addons still need to be made.
+//
+//   node report_traits.mjs
+
+import fs from 'fs';
+
+import traits from './src/traits.js';
+
+const COLLECTIONS = ['monkiez', 'monkettez'];
+const SAMPLES = 5;
+
+function readTokens(collection) {
+  const file = new URL(`./metadata/${collection}-attributes.json`, import.meta.url);
+  return JSON.parse(fs.readFileSync(file, 'utf-8')).filter(token => token);
+}
+
+const tokens = COLLECTIONS.flatMap(readTokens);
+const missing = traits.coverage(tokens);
+
+console.log(`checked ${tokens.length} tokens from ${COLLECTIONS.join(', ')}`);
+
+if (missing.length === 0) {
+  console.log('every trait value has a 3D option');
+  process.exit(0);
+}
+
+let trait = null;
+for (const m of missing) {
+  if (m.trait !== trait) {
+    trait = m.trait;
+    console.log(`\n${trait}` + (m.key ? ` (${m.key})` : ' (no attribute)'));
+  }
+  const samples = m.tokens.slice(0, SAMPLES).join(', ') + (m.tokens.length > SAMPLES ? ', ...' : '');
+  console.log(`  ${m.value.padEnd(24)} ${String(m.tokens.length).padStart(5)} tokens  ${samples}`);
+}
@@ -1,5 +1,6 @@
 import ADDONS from './addons.js';
 import PALETTE from './palette.js';
+import families from './families.js';
 
 var TYPES = {
   Brown: {
@@ -271,23 +272,107 @@ var EARRINGS = {
   },
 }
 
+// Options that can't be combined with everything. Each rule applies when all
+// of its `when` keys have one of the listed values, and then
+//   gender: the only gender that has the options
+//   excludes: options that can't be picked at the same time
+//   requires: options one of which has to be picked as well
+// `node validate_addons.mjs` lists the addons that overlap and still need one.
+var RULES = [
+  { when: { mouth: ['Gold', 'Silver', 'Bronze'] }, gender: 'Monkie' },
+  { when: { mouth: ['Bubblegum', 'Red', 'Esmeralda', 'Frost', 'Autumn', 'Blue Blood', 'Venom'] }, gender: 'Monkette' },
+  { when: { clothing: ['Purple Suit', 'Black Suit', 'White Suit'] }, gender: 'Monkie' },
+  { when: { clothing: ['Blue Dress'] }, gender: 'Monkette' },
+]
+
+function requirements(rule) {
+  return rule.gender ? Object.assign({ gender: [rule.gender] }, rule.requires) : (rule.requires || {})
+}
+
+// keys that attrs doesn't have (yet) never break a rule
+function broken(rule, attrs) {
+  for (const key in rule.when) {
+    if (!rule.when[key].includes(attrs[key])) {
+      return false
+    }
+  }
+  var excludes = rule.excludes || {}
+  for (const key in excludes) {
+    if (excludes[key].includes(attrs[key])) {
+      return true
+    }
+  }
+  var requires = requirements(rule)
+  for (const key in requires) {
+    if (key in attrs && !requires[key].includes(attrs[key])) {
+      return true
+    }
+  }
+  return false
+}
+
+// e.g. "Red mouth needs Monkette gender"
+function describe(rule, attrs) {
+  var when = Object.keys(rule.when).map(key => attrs[key] + ' ' + key).join(' with ')
+  var parts = []
+  var requires = requirements(rule)
+  for (const key in requires) {
+    parts.push('needs ' + requires[key].join('/') + ' ' + key)
+  }
+  var excludes = rule.excludes || {}
+  for (const key in excludes) {
+    parts.push("can't go with " + excludes[key].join('/') + ' ' + key)
+  }
+  return when + ' ' + parts.join(' and ')
+}
+
+function involves(rule, key) {
+  return key in rule.when || key in (rule.excludes || {}) || key in requirements(rule)
+}
+
+// whether attrs[key] = value breaks none of the rules about key
+function allowed(attrs, key, value) {
+  var candidate = Object.assign({}, attrs, { [key]: value })
+  return !RULES.some(rule => involves(rule, key) && broken(rule, candidate))
+}
+
+// falls back to a uniform pick when none of the options has any weight
+function pickWeighted(opts, weight, random) {
+  var total = opts.reduce((sum, opt) => sum + weight(opt), 0)
+  if (total === 0) {
+    return opts[Math.floor(random() * opts.length)]
+  }
+  var r = random() * total
+  for (const opt of opts) {
+    r -= weight(opt)
+    if (r < 0) {
+      return opt
+    }
+  }
+  return opts[opts.length - 1]
+}
+
+var DEFAULTS = Object.freeze({
+  family: 'Bananos',
+  gender: 'Monkie',
+  types: 'Brown',
+  chain: 'None',
+  earrings: 'None',
+  mouth: 'None',
+  clothing: 'None',
+  shades: 'None',
+  smoking: 'None',
+  hats: 'None',
+  background: 'Pale Green',
+})
 
 export default {
-  defaults: {
-    family: 'Bananos',
-    gender: 'Monkie',
-    types: 'Brown',
-    chain: 'None',
-    earrings: 'None',
-    mouth: 'None',
-    clothing: 'None',
-    shades: 'None',
-    smoking: 'None',
-    hats: 'None',
-    background: 'Pale Green',
-  },
+  // the Creator binds this and keeps its selection in it
+  defaults: Object.assign({}, DEFAULTS),
+  // the defaults as they were, whatever got selected since
+  originalDefaults: DEFAULTS,
   opts: {
-    family: ['Bananos', 'Orangutanos', 'Chimplinos'],
+    family: families.names,
     gender: ['Monkie', 'Monkette'],
     types: Object.keys(TYPES),
     chain: ['None', 'Bronze', 'Silver', 'Gold'],
@@ -299,10 +384,42 @@ export default {
     hats: Object.keys(HATS),
     background: Object.keys(PALETTE.backgrounds),
   },
-  randomize(attrs) {
-    for (const key in attrs) {
-      const opts = this.opts[key]
-      attrs[key] = opts[Math.floor(Math.random() * opts.length)]
+  rules: RULES,
+  allowed: allowed,
+  // descriptions of the rules attrs breaks, e.g. for values from an old link
+  conflicts(attrs) {
+    return RULES.filter(rule => broken(rule, attrs)).map(rule => describe(rule, attrs))
+  },
+  // options.locked: keys to leave as they are
+  // options.counts: per gender option counts (rarity.build(tokens).collections)
+  //   to pick options as often as they occur in the real collection
+  // options.random: Math.random replacement, e.g. seed.random('some seed')
+  randomize(attrs, options) {
+    var locked = (options && options.locked) || []
+    var counts = options && options.counts
+    var random = (options && options.random) || Math.random
+    var keys = Object.keys(attrs).filter(key => !locked.includes(key))
+    if (counts && keys.includes('gender')) {
+      // gender first, the other weights depend on it
+      keys = ['gender'].concat(keys.filter(key => key !== 'gender'))
+    }
+    // only the locked values and the ones picked so far limit the next pick
+    var picked = {}
+    locked.forEach(key => picked[key] = attrs[key])
+    for (const key of keys) {
+      var opts = this.opts[key].filter(opt => allowed(picked, key, opt))
+      if (opts.length === 0) {
+        // the locked values break a rule already
+        opts = this.opts[key]
+      }
+      if (!counts) {
+        attrs[key] = opts[Math.floor(random() * opts.length)]
+      } else if (key === 'gender') {
+        attrs[key] = pickWeighted(opts, opt => counts[opt] ? counts[opt].size : 0, random)
+      } else {
+        attrs[key] = pickWeighted(opts, opt => counts[attrs.gender].counts[key][opt] || 0, random)
+      }
+      picked[key] = attrs[key]
     }
   },
   createModel(attrs) {
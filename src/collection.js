@@ -0,0 +1,25 @@
+import monkiez from '../metadata/monkiez-attributes.json';
+import monkettez from '../metadata/monkettez-attributes.json';
+import rarity from './rarity.js';
+
+// the attribute dumps keep a null for every token that failed to download
+var TOKENS = monkiez.concat(monkettez).filter(token => token);
+
+var rarityTable = null;
+
+export default {
+  tokens: TOKENS,
+  // rarity.build for the whole collection, built once on first use
+  rarity() {
+    rarityTable = rarityTable || rarity.build(TOKENS);
+    return rarityTable;
+  },
+  find(query) {
+    var q = (query || '').trim();
+    if (!q) {
+      return null;
+    }
+    var id = q.toLowerCase();
+    return TOKENS.find(token => token.id === id || token.mint === q) || null;
+  },
+}
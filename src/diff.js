@@ -0,0 +1,120 @@
+import mobModel from './model.js';
+
+// Works out what a new modelData changes about the monkie on screen, so that
+// picking another color repaints the existing mesh instead of remeshing it.
+
+// the svox model with the values of its colors left out, emissive colors stay
+// in since they end up in the materials
+function shape(svox) {
+  return svox.replace(/\b([A-Z]):#[0-9A-Fa-f]+/g, '$1:');
+}
+
+// before and after are {modelData, svox}
+//   monkie: 'none', 'colors' when only the colors of its voxels changed, or
+//     'geometry' for anything else (voxels, materials, emission...)
+//   pedestal: another family, so another pedestal
+//   background: another pedestal color
+function classify(before, after) {
+  var monkie = before.svox === after.svox ? 'none' :
+      shape(before.svox) === shape(after.svox) ? 'colors' : 'geometry';
+  return {
+    monkie: monkie,
+    pedestal: before.modelData.family !== after.modelData.family,
+    background: before.modelData.background !== after.modelData.background,
+  };
+}
+
+// the same 0..1 channels svox uses for its vertex colors
+function rgb(hex) {
+  var value = hex.replace('#', '');
+  if (value.length === 3) {
+    value = value[0] + value[0] + value[1] + value[1] + value[2] + value[2];
+  }
+  var n = parseInt(value, 16);
+  return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+}
+
+// Finds the color code of every vertex of a mesh generated from
+// buildSvoxModel(modelData), by looking each triangle up in the voxel half a
+// voxel behind its center. svox bakes ambient occlusion into the vertex
+// colors, so how much each vertex got darkened is kept too.
+function label(mesh, modelData, svox) {
+  var grid = mobModel.parseVoxels({ dimension: mobModel.BASE_DIM, voxels: mobModel.composeVoxels(modelData) });
+  var at = (x, y, z) => grid[z] && grid[z][y] && grid[z][y][x];
+  var filled = c => c && c !== '-' && c !== ' ';
+
+  // svox centers the model on the box around its voxels
+  var min = [Infinity, Infinity, Infinity];
+  var max = [-Infinity, -Infinity, -Infinity];
+  grid.forEach((row, z) => row.forEach((line, y) => line.split('').forEach(function(c, x) {
+    if (filled(c)) {
+      [x, y, z].forEach(function(v, k) {
+        min[k] = Math.min(min[k], v);
+        max[k] = Math.max(max[k], v);
+      });
+    }
+  })));
+  var center = [0, 1, 2].map(k => (min[k] + max[k] + 1) / 2);
+
+  var colors = mobModel.svoxColors(svox);
+  var position = mesh.geometry.attributes.position.array;
+  var normal = mesh.geometry.attributes.normal.array;
+  var color = mesh.geometry.attributes.color.array;
+  var count = position.length / 3;
+  var codes = new Array(count).fill(null);
+  var shade = new Float32Array(count);
+
+  for (var t = 0; t < position.length; t += 9) {
+    var voxel = [0, 1, 2].map(k => Math.floor(
+        (position[t + k] + position[t + 3 + k] + position[t + 6 + k]) / 3 / mobModel.SCALE
+        - (normal[t + k] + normal[t + 3 + k] + normal[t + 6 + k]) / 3 / 2
+        + center[k]));
+    var code = at(voxel[0], voxel[1], voxel[2]);
+    if (!filled(code)) {
+      continue;
+    }
+    // hidden colors only show again with another material, a remesh anyway
+    var base = colors[code] ? rgb(colors[code]) : [1, 1, 1];
+    var channel = base.indexOf(Math.max.apply(null, base));
+    if (base[channel] === 0) {
+      continue;
+    }
+    for (var v = t / 3; v < t / 3 + 3; v++) {
+      codes[v] = code;
+      shade[v] = color[v * 3 + channel] / base[channel];
+    }
+  }
+  mesh.userData.labels = { codes: codes, shade: shade };
+}
+
+// Repaints a labelled mesh with the colors of svox, which classify said only
+// changed colors. False when some vertex couldn't be labelled, the monkie
+// needs remeshing then.
+function recolor(mesh, svox) {
+  var labels = mesh && mesh.userData.labels;
+  if (!labels || labels.codes.includes(null)) {
+    return false;
+  }
+  var colors = mobModel.svoxColors(svox);
+  var bases = {};
+  for (const code in colors) {
+    bases[code] = rgb(colors[code]);
+  }
+  var attribute = mesh.geometry.attributes.color;
+  labels.codes.forEach(function(code, v) {
+    if (!bases[code]) {
+      return;
+    }
+    for (var k = 0; k < 3; k++) {
+      attribute.array[v * 3 + k] = labels.shade[v] * bases[code][k];
+    }
+  });
+  attribute.needsUpdate = true;
+  return true;
+}
+
+export default {
+  classify: classify,
+  label: label,
+  recolor: recolor,
+}
@@ -0,0 +1,30 @@
+import attributes from './attributes.js';
+import traits from './traits.js';
+
+var KEYS = Object.keys(attributes.defaults);
+
+// Finds the tokens from metadata/*-attributes.json that look the most like a
+// combination. The distance is the number of attributes that differ, so 0
+// means the combination already exists.
+function build(tokens) {
+  var known = tokens.map(token => ({ id: token.id, values: traits.normalize(token) }));
+
+  return {
+    // the `count` closest tokens as {id, distance, differences: [keys]},
+    // closest first
+    closest(values, count) {
+      return known.map(function(token) {
+        var differences = KEYS.filter(key => token.values[key] !== values[key]);
+        return { id: token.id, distance: differences.length, differences: differences };
+      }).sort((a, b) => a.distance - b.distance).slice(0, count);
+    },
+    // ids of the tokens with exactly these values
+    matches(values) {
+      return known.filter(token => KEYS.every(key => token.values[key] === values[key])).map(token => token.id);
+    },
+  };
+}
+
+export default {
+  build: build,
+}
@@ -0,0 +1,181 @@
+import GLTFExporter from 'three-gltf-exporter';
+import orbit from './orbit.js';
+
+var exporter = new GLTFExporter();
+
+// saves data as a file through a temporary download link
+function download(data, type, exportName){
+  var url = URL.createObjectURL(new Blob([data], { type: type }));
+  var downloadAnchorNode = document.createElement('a');
+  downloadAnchorNode.setAttribute("href",     url);
+  downloadAnchorNode.setAttribute("download", exportName);
+  document.body.appendChild(downloadAnchorNode); // required for firefox
+  downloadAnchorNode.click();
+  downloadAnchorNode.remove();
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+// object3D as exportName.glb, or exportName.gltf when binary is false
+function gltf(object3D, binary, exportName) {
+  var options = {
+    binary: binary,
+    // animation: 'property:rotation; from:0 0 0; to:0 360 0; loop: true; easing:linear; dur:5000',
+  };
+  console.log('exporting', exportName);
+  exporter.parse(
+    object3D,
+    // called when the gltf has been generated, an ArrayBuffer for binary
+    function ( gltf ) {
+      if (binary) {
+        download(gltf, 'model/gltf-binary', exportName + '.glb');
+      } else {
+        download(JSON.stringify(gltf), 'model/gltf+json', exportName + '.gltf');
+      }
+    },
+    options
+  );
+}
+
+// Sets the a-scene's renderer up for options.size x options.size shots
+// without the grid, calls shoot(render) and puts everything back.
+// render(angle) draws the scene into renderer.domElement with options.pose
+// turned angle radians from the front.
+//   options.background: a color, or null for a transparent background
+//   options.pose: the object3D to turn, e.g. the spinning #container, it keeps
+//     spinning from where it was afterwards
+// A camera with orbit-controls shoots from the front view, then goes back to
+// wherever it was orbited to.
+// THREE is the global from aframe.
+function studio(scene, options, shoot) {
+  var renderer = scene.renderer;
+  var camera = scene.camera;
+  var grid = scene.object3D.getObjectByName('gridHelper');
+
+  var size = renderer.getSize(new THREE.Vector2());
+  var pixelRatio = renderer.getPixelRatio();
+  var aspect = camera.aspect;
+  var background = scene.object3D.background;
+  var clearColor = renderer.getClearColor(new THREE.Color());
+  var clearAlpha = renderer.getClearAlpha();
+  var rotation = options.pose && options.pose.rotation.clone();
+  var controls = camera.el && camera.el.components['orbit-controls'];
+  var view = controls && {
+    spherical: controls.spherical.clone(),
+    target: controls.target.clone(),
+    glide: controls.glide,
+  };
+
+  renderer.setPixelRatio(1);
+  renderer.setSize(options.size, options.size, false);
+  camera.aspect = 1;
+  camera.updateProjectionMatrix();
+  scene.object3D.background = options.background ? new THREE.Color(options.background) : null;
+  renderer.setClearColor(0x000000, 0);
+  if (grid) {
+    grid.visible = false;
+  }
+  if (controls) {
+    controls.glide = null;
+    controls.spherical.set(controls.distance, orbit.VIEWS.front.phi, orbit.VIEWS.front.theta);
+    controls.target.copy(controls.data.target);
+    controls.apply();
+  }
+
+  try {
+    shoot(function(angle) {
+      if (options.pose) {
+        options.pose.rotation.set(0, angle, 0);
+      }
+      renderer.render(scene.object3D, camera);
+    });
+  } finally {
+    if (controls) {
+      controls.spherical.copy(view.spherical);
+      controls.target.copy(view.target);
+      controls.glide = view.glide;
+      controls.apply();
+    }
+    if (options.pose) {
+      options.pose.rotation.copy(rotation);
+    }
+    if (grid) {
+      grid.visible = true;
+    }
+    renderer.setClearColor(clearColor, clearAlpha);
+    scene.object3D.background = background;
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(size.x, size.y, false);
+  }
+}
+
+// the a-scene from the front as exportName.png, see studio for the options
+function snapshot(scene, options, exportName) {
+  studio(scene, options, function(render) {
+    render(0);
+    // toBlob copies the canvas right away, before the next frame clears it
+    scene.renderer.domElement.toBlob(blob => download(blob, 'image/png', exportName + '.png'), 'image/png');
+  });
+}
+
+// options.frames ImageData of one full turn of options.pose, see studio for
+// the other options
+function turntable(scene, options) {
+  var canvas = document.createElement('canvas');
+  canvas.width = canvas.height = options.size;
+  var context = canvas.getContext('2d');
+  var frames = [];
+  studio(scene, options, function(render) {
+    for (var i = 0; i < options.frames; i++) {
+      render(2 * Math.PI * i / options.frames);
+      context.clearRect(0, 0, options.size, options.size);
+      context.drawImage(scene.renderer.domElement, 0, 0);
+      frames.push(context.getImageData(0, 0, options.size, options.size));
+    }
+  });
+  return frames;
+}
+
+// Plays the frames into a MediaRecorder, so this takes duration milliseconds.
+// Resolves with the WebM blob, rejects when the browser can't record WebM.
+// Whether a transparent background survives is up to the browser's VP8/VP9
+// encoder.
+function webm(frames, duration) {
+  return new Promise(function(resolve, reject) {
+    if (!window.MediaRecorder || !MediaRecorder.isTypeSupported('video/webm')) {
+      throw "error, this browser can't record WebM video";
+    }
+    var canvas = document.createElement('canvas');
+    canvas.width = frames[0].width;
+    canvas.height = frames[0].height;
+    var context = canvas.getContext('2d');
+    var stream = canvas.captureStream(0);
+    var track = stream.getVideoTracks()[0];
+    var recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+    var chunks = [];
+    recorder.ondataavailable = event => chunks.push(event.data);
+    recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+    recorder.onerror = event => reject(event.error);
+    recorder.start();
+    var i = 0;
+    var next = function() {
+      if (i === frames.length) {
+        recorder.stop();
+        return;
+      }
+      context.putImageData(frames[i++], 0, 0);
+      track.requestFrame();
+      setTimeout(next, duration / frames.length);
+    };
+    next();
+  });
+}
+
+export default {
+  download: download,
+  gltf: gltf,
+  snapshot: snapshot,
+  turntable: turntable,
+  webm: webm,
+}
@@ -0,0 +1,85 @@
+// Pedestal per Mob Family, either an A-Frame primitive
+//   shape: the primitive's tag, e.g. 'a-box'
+//   props: its attributes
+// or a voxel model
+//   svox: a smoothvoxels model, e.g. from `node import_vox.mjs --svox`
+//   props: attributes of its entity, at least position and rotation
+// `model` moves and turns the monkie on top of the pedestal. Positions are in
+// meters and rotations in degrees, the PoseEditor changes them in place.
+var FAMILIES = {
+  'Bananos': {
+    shape: 'a-tetrahedron',
+    props: {
+      color: '#FF926B',
+      radius: '.8',
+      position: "0 -0.26 0",
+      roughness: 0.2,
+      rotation: '35 0 45',
+    },
+  },
+  'Orangutanos': {
+    shape: 'a-box',
+    props: {
+      color: '#FF926B',
+      // width: '.8',
+      // height: '.8',
+      // depth: '.8',
+      position: "0 -0.5 0",
+      roughness: 0.15,
+      rotation: '0 0 0',
+    },
+  },
+  'Chimplinos': {
+    shape: 'a-dodecahedron',
+    props: {
+      color: '#FF926B',
+      radius: '.8',
+      position: "0 -0.63 0",
+      roughness: 0.2,
+      rotation: '32 0 0',
+    },
+  },
+}
+
+var ZERO = '0 0 0';
+
+function vec3(value) {
+  return (value || ZERO).split(' ').map(Number);
+}
+
+// {pedestal: {position, rotation}, model: {position, rotation}} of [x, y, z]
+// arrays for the PoseEditor
+function pose(family) {
+  var fam = FAMILIES[family];
+  var model = fam.model || {};
+  return {
+    pedestal: { position: vec3(fam.props.position), rotation: vec3(fam.props.rotation) },
+    model: { position: vec3(model.position), rotation: vec3(model.rotation) },
+  };
+}
+
+function setPose(family, pose) {
+  var fam = FAMILIES[family];
+  fam.props.position = pose.pedestal.position.join(' ');
+  fam.props.rotation = pose.pedestal.rotation.join(' ');
+  fam.model = {
+    position: pose.model.position.join(' '),
+    rotation: pose.model.rotation.join(' '),
+  };
+}
+
+var ORIGINAL_POSES = {};
+for (const family in FAMILIES) {
+  ORIGINAL_POSES[family] = pose(family);
+}
+
+export default {
+  families: FAMILIES,
+  names: Object.keys(FAMILIES),
+  pose: pose,
+  setPose: setPose,
+  // the pose as written above, before any PoseEditor changes
+  originalPose(family) {
+    return ORIGINAL_POSES[family];
+  },
+}
@@ -0,0 +1,169 @@
+// Writes looping animated GIFs from RGBA frames (ImageData or anything with a
+// width x height x 4 `data` array). All frames share one 256 color palette
+// made from the colors that occur most, which suits the few flat colors of a
+// voxel monkie well enough.
+
+// colors are bucketed by their top 5 bits per channel
+function bucket(data, i) {
+  return ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+}
+
+function buildPalette(frames, slots) {
+  var counts = new Uint32Array(32768);
+  var sums = new Float64Array(32768 * 3);
+  frames.forEach(function(frame) {
+    var data = frame.data;
+    for (var i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 128) {
+        continue;
+      }
+      var b = bucket(data, i);
+      counts[b]++;
+      sums[b * 3] += data[i];
+      sums[b * 3 + 1] += data[i + 1];
+      sums[b * 3 + 2] += data[i + 2];
+    }
+  });
+  var used = [];
+  for (var b = 0; b < counts.length; b++) {
+    if (counts[b] > 0) {
+      used.push(b);
+    }
+  }
+  used.sort((a, b) => counts[b] - counts[a]);
+  return used.slice(0, slots).map(b => [0, 1, 2].map(c => Math.round(sums[b * 3 + c] / counts[b])));
+}
+
+function nearest(palette, r, g, b) {
+  var best = 0;
+  var bestDistance = Infinity;
+  palette.forEach(function(color, i) {
+    var distance = (color[0] - r) * (color[0] - r) + (color[1] - g) * (color[1] - g) + (color[2] - b) * (color[2] - b);
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// GIF flavoured LZW, codes are packed least significant bit first and cut
+// into sub-blocks of up to 255 bytes
+function lzw(indices, minCodeSize) {
+  var bytes = [];
+  var buffer = 0;
+  var bits = 0;
+  var clear = 1 << minCodeSize;
+  var end = clear + 1;
+  var codeSize = minCodeSize + 1;
+  var next = end + 1;
+  var codes = new Map();
+
+  function write(code) {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      bytes.push(buffer & 0xFF);
+      buffer >>= 8;
+      bits -= 8;
+    }
+  }
+
+  write(clear);
+  var prefix = indices[0];
+  for (var i = 1; i < indices.length; i++) {
+    var key = (prefix << 8) | indices[i];
+    var code = codes.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    write(prefix);
+    if (next < 4096) {
+      codes.set(key, next++);
+      if (next > (1 << codeSize) && codeSize < 12) {
+        codeSize++;
+      }
+    } else {
+      write(clear);
+      codes.clear();
+      codeSize = minCodeSize + 1;
+      next = end + 1;
+    }
+    prefix = indices[i];
+  }
+  write(prefix);
+  write(end);
+  if (bits > 0) {
+    bytes.push(buffer & 0xFF);
+  }
+
+  var blocks = [minCodeSize];
+  for (var start = 0; start < bytes.length; start += 255) {
+    var block = bytes.slice(start, start + 255);
+    blocks.push(block.length);
+    blocks.push.apply(blocks, block);
+  }
+  blocks.push(0);
+  return blocks;
+}
+
+function int16(value) {
+  return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+// options.delay: milliseconds per frame
+// options.transparent: keep pixels with alpha < 128 see-through, otherwise
+//   they get the closest palette color
+function encode(frames, width, height, options) {
+  var transparent = !!options.transparent;
+  var palette = buildPalette(frames, transparent ? 255 : 256);
+  while (palette.length < 256) {
+    palette.push([0, 0, 0]);
+  }
+  var transparentIndex = 255;
+  var lookup = new Int16Array(32768).fill(-1);
+
+  var out = [];
+  function push(bytes) {
+    for (var i = 0; i < bytes.length; i++) {
+      out.push(bytes[i]);
+    }
+  }
+
+  push([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+  push(int16(width).concat(int16(height), [0xF7, 0, 0]));
+  palette.forEach(color => push(color));
+  // NETSCAPE2.0 loop forever
+  push([0x21, 0xFF, 0x0B]);
+  push('NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)));
+  push([0x03, 0x01, 0, 0, 0]);
+
+  var delay = Math.max(2, Math.round(options.delay / 10));
+  frames.forEach(function(frame) {
+    var data = frame.data;
+    var indices = new Uint8Array(width * height);
+    for (var p = 0; p < indices.length; p++) {
+      var i = p * 4;
+      if (transparent && data[i + 3] < 128) {
+        indices[p] = transparentIndex;
+        continue;
+      }
+      var b = bucket(data, i);
+      if (lookup[b] < 0) {
+        lookup[b] = nearest(transparent ? palette.slice(0, 255) : palette, data[i], data[i + 1], data[i + 2]);
+      }
+      indices[p] = lookup[b];
+    }
+    // graphic control: restore to background between frames when transparent
+    push([0x21, 0xF9, 0x04, transparent ? 0x09 : 0x04].concat(int16(delay), [transparentIndex, 0]));
+    push([0x2C, 0, 0, 0, 0].concat(int16(width), int16(height), [0]));
+    push(lzw(indices, 8));
+  });
+  push([0x3B]);
+  return new Uint8Array(out);
+}
+
+export default {
+  encode: encode,
+}
@@ -0,0 +1,142 @@
+// Packs a mesh from SvoxMeshGenerator.generate into a binary glTF (.glb).
+// It doesn't need three.js or a WebGL context, so it also runs headless in Node.
+
+var GLB_MAGIC = 0x46546C67;      // 'glTF'
+var GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+var GLB_CHUNK_BIN = 0x004E4942;  // 'BIN\0'
+
+var FLOAT = 5126;
+var ARRAY_BUFFER = 34962;
+
+// svox colors are sRGB, glTF vertex and material colors are linear
+function srgbToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function hexToLinear(hex) {
+  var h = hex.replace('#', '');
+  if (h.length === 3) {
+    h = h.split('').map(c => c + c).join('');
+  }
+  return [0, 2, 4].map(i => srgbToLinear(parseInt(h.substr(i, 2), 16) / 255));
+}
+
+function padTo4(length) {
+  return (length + 3) & ~3;
+}
+
+function toMaterial(material, i) {
+  var gltf = {
+    name: 'svox' + i,
+    pbrMetallicRoughness: {
+      baseColorFactor: [1, 1, 1, material.opacity],
+      metallicFactor: material.metalness,
+      roughnessFactor: material.roughness,
+    },
+    doubleSided: material.side === 'double',
+  };
+  if (material.transparent || material.opacity < 1) {
+    gltf.alphaMode = 'BLEND';
+  }
+  if (material.emissive) {
+    var intensity = Math.min(material.emissiveIntensity, 1);
+    gltf.emissiveFactor = hexToLinear(material.emissive).map(c => c * intensity);
+  }
+  return gltf;
+}
+
+function bounds(positions, start, count) {
+  var min = [Infinity, Infinity, Infinity];
+  var max = [-Infinity, -Infinity, -Infinity];
+  for (var v = start; v < start + count; v++) {
+    for (var a = 0; a < 3; a++) {
+      min[a] = Math.min(min[a], positions[v * 3 + a]);
+      max[a] = Math.max(max[a], positions[v * 3 + a]);
+    }
+  }
+  return { min: min, max: max };
+}
+
+export default {
+  fromSvoxMesh(svoxmesh, name) {
+    var positions = new Float32Array(svoxmesh.positions);
+    var normals = new Float32Array(svoxmesh.normals);
+    var colors = new Float32Array(svoxmesh.colors.map(srgbToLinear));
+
+    var gltf = {
+      asset: { version: '2.0', generator: '3D Mob' },
+      scene: 0,
+      scenes: [{ nodes: [0] }],
+      nodes: [{ name: name || 'monkie', mesh: 0 }],
+      meshes: [{ name: name || 'monkie', primitives: [] }],
+      materials: svoxmesh.materials.map(toMaterial),
+      accessors: [],
+      bufferViews: [],
+      buffers: [],
+    };
+
+    var byteLength = 0;
+    [positions, normals, colors].forEach(function(array) {
+      gltf.bufferViews.push({
+        buffer: 0,
+        byteOffset: byteLength,
+        byteLength: array.byteLength,
+        byteStride: 12,
+        target: ARRAY_BUFFER,
+      });
+      byteLength += array.byteLength;
+    });
+    gltf.buffers.push({ byteLength: byteLength });
+
+    // one primitive per material group, all reading from the same three buffer views
+    svoxmesh.groups.filter(group => group.count > 0).forEach(function(group) {
+      var box = bounds(positions, group.start, group.count);
+      var attributes = {};
+      ['POSITION', 'NORMAL', 'COLOR_0'].forEach(function(attribute, view) {
+        var accessor = {
+          bufferView: view,
+          byteOffset: group.start * 12,
+          componentType: FLOAT,
+          count: group.count,
+          type: 'VEC3',
+        };
+        if (attribute === 'POSITION') {
+          accessor.min = box.min;
+          accessor.max = box.max;
+        }
+        attributes[attribute] = gltf.accessors.length;
+        gltf.accessors.push(accessor);
+      });
+      gltf.meshes[0].primitives.push({ attributes: attributes, material: group.materialIndex });
+    });
+
+    var json = new TextEncoder().encode(JSON.stringify(gltf));
+    var jsonLength = padTo4(json.length);
+    var binLength = padTo4(byteLength);
+    var total = 12 + 8 + jsonLength + 8 + binLength;
+
+    var glb = new ArrayBuffer(total);
+    var view = new DataView(glb);
+    var bytes = new Uint8Array(glb);
+
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    bytes.set(json, 20);
+    bytes.fill(0x20, 20 + json.length, 20 + jsonLength);
+
+    var bin = 20 + jsonLength;
+    view.setUint32(bin, binLength, true);
+    view.setUint32(bin + 4, GLB_CHUNK_BIN, true);
+    var offset = bin + 8;
+    [positions, normals, colors].forEach(function(array) {
+      bytes.set(new Uint8Array(array.buffer), offset);
+      offset += array.byteLength;
+    });
+
+    return glb;
+  },
+}
@@ -0,0 +1,22 @@
+// Picks the Mob tokens out of the token accounts an owner holds. Apart from
+// wallet.js, which needs @solana/web3.js and vite, so it also runs in Node.
+
+// connection only needs getParsedTokenAccountsByOwner, so any stub will do
+//   owner: what the connection takes, a PublicKey for a real one
+//   options.programId: the SPL token program the accounts belong to
+//   options.mints: Set of every Mob mint
+//   options.find(mint): the collection token for a mint, or null
+async function mobTokens(connection, owner, options) {
+  var accounts = await connection.getParsedTokenAccountsByOwner(owner, {
+    programId: options.programId,
+  });
+  return accounts.value
+    .map(account => account.account.data.parsed.info)
+    .filter(info => info.tokenAmount.amount === '1' && options.mints.has(info.mint))
+    .map(info => options.find(info.mint))
+    .filter(token => token);
+}
+
+export default {
+  mobTokens: mobTokens,
+}
@@ -1,5 +1,6 @@
 import { createApp } from 'vue'
 import App from './App.vue'
+import router from './router'
 
 import SolanaWallets from 'solana-wallets-vue';
 
@@ -27,4 +28,5 @@ const app = createApp(App)
 
 app
 .use(SolanaWallets, walletOptions)
+.use(router)
 .mount('#app')
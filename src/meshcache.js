@@ -0,0 +1,248 @@
+// registers the svox component this wraps
+import SVOX from './lib/smoothvoxels.1.1.0.min.js';
+import seeds from './seed.js';
+
+// Keeps the meshes the svox component generates, keyed by a hash of the model
+// string, so a combination that was seen before shows up without running
+// SvoxMeshGenerator again. The last LIMIT meshes stay in memory, with
+// persistence on the last DISK_LIMIT are also kept in IndexedDB across
+// visits. AFRAME and THREE are the globals from aframe.
+
+var LIMIT = 64;
+var DISK_LIMIT = 500;
+var DB_NAME = 'mob-mesh-cache';
+var STORE = 'meshes';
+var PERSIST_KEY = 'mob-mesh-cache-persist';
+
+// hash -> entry, in least to most recently used order
+var memory = new Map();
+// hashes that are in IndexedDB
+var onDisk = new Set();
+var persistent = false;
+var stats = { hits: 0, diskHits: 0, misses: 0 };
+var listeners = [];
+
+function changed() {
+  var current = report();
+  listeners.forEach(listener => listener(current));
+}
+
+function report() {
+  return Object.assign({
+    size: memory.size,
+    limit: LIMIT,
+    diskSize: onDisk.size,
+    persistent: persistent,
+  }, stats);
+}
+
+// what's needed to rebuild the mesh, as plain arrays and JSON so it also goes
+// into IndexedDB. Copied right away, the mesh on screen may get repainted.
+function toEntry(mesh) {
+  var attributes = mesh.geometry.attributes;
+  return {
+    positions: Float32Array.from(attributes.position.array),
+    normals: Float32Array.from(attributes.normal.array),
+    colors: Float32Array.from(attributes.color.array),
+    uvs: attributes.uv ? Float32Array.from(attributes.uv.array) : null,
+    groups: mesh.geometry.groups.map(g => ({ start: g.start, count: g.count, materialIndex: g.materialIndex })),
+    materials: mesh.material.map(material => material.toJSON()),
+  };
+}
+
+// a new mesh every time, the svox component disposes its mesh when removed
+function toMesh(entry) {
+  var geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(entry.positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(entry.normals, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(entry.colors, 3));
+  if (entry.uvs) {
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(entry.uvs, 2));
+  }
+  entry.groups.forEach(g => geometry.addGroup(g.start, g.count, g.materialIndex));
+  geometry.computeBoundingBox();
+  var loader = new THREE.MaterialLoader();
+  return new THREE.Mesh(geometry, entry.materials.map(json => loader.parse(json)));
+}
+
+function remember(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+  while (memory.size > LIMIT) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+function recall(key) {
+  var entry = memory.get(key);
+  if (entry) {
+    remember(key, entry);
+  }
+  return entry;
+}
+
+// IndexedDB, every record is {key, entry, used}
+
+var database = null;
+
+function request(req) {
+  return new Promise(function(resolve, reject) {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDatabase() {
+  if (!database) {
+    var req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = function() {
+      var store = req.result.createObjectStore(STORE, { keyPath: 'key' });
+      store.createIndex('used', 'used');
+    };
+    database = request(req);
+  }
+  return database;
+}
+
+function transaction(mode) {
+  return openDatabase().then(db => db.transaction(STORE, mode).objectStore(STORE));
+}
+
+function readDisk(key) {
+  return transaction('readwrite').then(function(store) {
+    return request(store.get(key)).then(function(record) {
+      if (!record) {
+        return null;
+      }
+      record.used = Date.now();
+      store.put(record);
+      return record.entry;
+    });
+  });
+}
+
+// drops the least recently used records over DISK_LIMIT
+function writeDisk(key, entry) {
+  return transaction('readwrite').then(function(store) {
+    store.put({ key: key, entry: entry, used: Date.now() });
+    onDisk.add(key);
+    var extra = onDisk.size - DISK_LIMIT;
+    if (extra <= 0) {
+      return;
+    }
+    var cursor = store.index('used').openCursor();
+    cursor.onsuccess = function() {
+      if (cursor.result && extra-- > 0) {
+        onDisk.delete(cursor.result.value.key);
+        cursor.result.delete();
+        cursor.result.continue();
+      } else {
+        changed();
+      }
+    };
+  });
+}
+
+function loadDiskKeys() {
+  return transaction('readonly').then(store => request(store.getAllKeys())).then(function(keys) {
+    keys.forEach(key => onDisk.add(key));
+    changed();
+  });
+}
+
+function show(component, el, mesh) {
+  component.mesh = mesh;
+  el.setObject3D('mesh', mesh);
+}
+
+var svox = AFRAME.components.svox.Component.prototype;
+var generate = svox._generateModel;
+
+svox._generateModel = function(modelString, el, error) {
+  // the missing model placeholder isn't worth keeping
+  if (error) {
+    return generate.call(this, modelString, el, error);
+  }
+  var key = seeds.hash(modelString);
+  var entry = recall(key);
+  if (entry) {
+    stats.hits++;
+    changed();
+    show(this, el, toMesh(entry));
+    return;
+  }
+
+  var miss = () => {
+    stats.misses++;
+    generate.call(this, modelString, el, error);
+    if (this.mesh) {
+      var fresh = toEntry(this.mesh);
+      remember(key, fresh);
+      if (persistent) {
+        writeDisk(key, fresh).catch(reason => console.warn('Mesh cache: ' + reason));
+      }
+    }
+    changed();
+  };
+
+  if (!persistent || !onDisk.has(key)) {
+    miss();
+    return;
+  }
+  readDisk(key).then(stored => {
+    if (!stored) {
+      onDisk.delete(key);
+      miss();
+      return;
+    }
+    stats.diskHits++;
+    remember(key, stored);
+    changed();
+    // the entity may have been replaced in the meantime
+    if (el.parentNode) {
+      show(this, el, toMesh(stored));
+    }
+  }, error => {
+    console.warn('Mesh cache: ' + error);
+    miss();
+  });
+};
+
+function setPersistent(on) {
+  persistent = on;
+  localStorage.setItem(PERSIST_KEY, on ? '1' : '');
+  if (on) {
+    loadDiskKeys().catch(function(error) {
+      console.warn('Mesh cache: ' + error);
+      persistent = false;
+      changed();
+    });
+  }
+  changed();
+}
+
+if (localStorage.getItem(PERSIST_KEY) && window.indexedDB) {
+  setPersistent(true);
+}
+
+export default {
+  // {hits, diskHits, misses, size, limit, diskSize, persistent}
+  stats: report,
+  // calls listener with the stats whenever they change, returns a function
+  // that stops that
+  subscribe(listener) {
+    listeners.push(listener);
+    return () => listeners.splice(listeners.indexOf(listener), 1);
+  },
+  setPersistent: setPersistent,
+  // forgets every mesh and resets the stats
+  clear() {
+    memory.clear();
+    stats.hits = stats.diskHits = stats.misses = 0;
+    if (onDisk.size) {
+      onDisk.clear();
+      transaction('readwrite').then(store => store.clear()).catch(error => console.warn('Mesh cache: ' + error));
+    }
+    changed();
+  },
+}
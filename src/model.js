@@ -0,0 +1,280 @@
+import PALETTE from './palette.js';
+import baseMonkie from './assets/monkie.js';
+import baseMonkette from './assets/monkette.js';
+
+var BASE_DIM = [15, 19, 23,];
+// meters per voxel
+var SCALE = 0.07;
+
+function parseVoxels(mask) {
+  var rows = mask.voxels.replaceAll('.', ' ').split('\n');
+  rows = rows.filter(r => r.length > 0)
+  // console.log(rows)
+  if (rows.length !== mask.dimension[2]) {
+    throw "error, expected " + mask.dimension[2] + " rows, got " + rows.length
+  }
+  rows = rows.map(function(row) {
+    if (mask.dimension[0] * mask.dimension[1] + (mask.dimension[1] - 1) !== row.length) {
+      throw "error, expected " + mask.dimension[0] + " x " + mask.dimension[1] + " chars, got " + row.length
+    }
+    var lines = []
+    for (var i = 0; i < row.length; i += mask.dimension[0] + 1) {
+      lines.push(row.substr(i, mask.dimension[0]))
+    }
+    return lines
+  });
+  // console.log(rows)
+  // console.log(writeVoxels(rows))
+  return rows
+}
+
+function writeVoxels(voxels) {
+  return '\n' + voxels.map((row) => row.join(' ')).join('\n')
+}
+
+function addition(org, mask) {
+  if (org.length !== mask.length) {
+    throw "oh no, lengths don't match: " + org + " and " + mask;
+  }
+  var replaced = []
+  for (var i = 0; i < org.length; i++) {
+    if (mask.charAt(i) === ' ') {
+      replaced.push(org.charAt(i));
+    } else {
+      replaced.push(mask.charAt(i));
+    }
+  }
+  return replaced.join('');
+}
+
+function outOfBounds(mask) {
+  for (var axis = 0; axis < 3; axis++) {
+    if (mask.offset[axis] < 0 || mask.offset[axis] + mask.dimension[axis] > BASE_DIM[axis]) {
+      return 'xyz'.charAt(axis) + " offset " + mask.offset[axis] + " + dimension " + mask.dimension[axis]
+          + " is outside 0.." + BASE_DIM[axis]
+    }
+  }
+  return null
+}
+
+// everything parseVoxels and mergeVoxels would trip over, plus color codes
+// that have no material, as a list instead of throwing on the first one
+function validateAddon(mask, colors) {
+  var problems = []
+  var bounds = outOfBounds(mask)
+  if (bounds) {
+    problems.push({ row: null, column: null, message: bounds })
+  }
+  var rows = mask.voxels.replaceAll('.', ' ').split('\n').filter(r => r.length > 0)
+  if (rows.length !== mask.dimension[2]) {
+    problems.push({ row: null, column: null, message: "expected " + mask.dimension[2] + " rows, got " + rows.length })
+  }
+  var width = mask.dimension[0] * mask.dimension[1] + (mask.dimension[1] - 1)
+  rows.forEach(function(row, z) {
+    if (row.length !== width) {
+      problems.push({
+        row: z + 1,
+        column: Math.min(row.length, width) + 1,
+        message: "expected " + mask.dimension[0] + " x " + mask.dimension[1] + " chars, got " + row.length,
+      })
+    }
+    for (var i = 0; i < row.length; i++) {
+      var code = row.charAt(i)
+      if ((i + 1) % (mask.dimension[0] + 1) === 0) {
+        if (code !== ' ') {
+          problems.push({ row: z + 1, column: i + 1, message: "expected a space between y lines, got '" + code + "'" })
+        }
+      } else if (code !== ' ' && code !== '-' && !colors.includes(code)) {
+        problems.push({ row: z + 1, column: i + 1, message: "color '" + code + "' has no material" })
+      }
+    }
+  })
+  return problems
+}
+
+// positions in the base grid of every voxel the addon sets or erases
+function addonVoxels(mask) {
+  var voxels = {}
+  parseVoxels(mask).forEach(function(row, z) {
+    row.forEach(function(line, y) {
+      for (var x = 0; x < line.length; x++) {
+        if (line.charAt(x) !== ' ') {
+          voxels[[mask.offset[0] + x, mask.offset[1] + y, mask.offset[2] + z].join(' ')] = line.charAt(x)
+        }
+      }
+    })
+  })
+  return voxels
+}
+
+// voxels both addons touch as [x, y, z], whichever merges last wins them
+function overlap(a, b) {
+  var voxelsA = addonVoxels(a)
+  var voxelsB = addonVoxels(b)
+  return Object.keys(voxelsA).filter(p => p in voxelsB).map(p => p.split(' ').map(Number))
+}
+
+function mergeVoxels(base, mask) {
+  if (!mask) {
+    return base;
+  }
+  var bounds = outOfBounds(mask)
+  if (bounds) {
+    throw "error, " + bounds
+  }
+  var baseVx = parseVoxels({dimension: BASE_DIM, voxels: base})
+  var mod = parseVoxels(mask)
+  for (var z = 0; z < mask.dimension[2]; z++) {
+    for (var y = 0; y < mask.dimension[1]; y++) {
+
+      var org = baseVx[mask.offset[2] + z][mask.offset[1] + y];
+      // console.log(org, mask.offset[2] + z, mask.offset[1] + y);
+      var replaced = org.substr(0, mask.offset[0])
+          + addition(org.substr(mask.offset[0], mask.dimension[0]), mod[z][y])
+          + org.substring(mask.offset[0] + mask.dimension[0], org.length)
+      // console.log(replaced);
+      baseVx[mask.offset[2] + z][mask.offset[1] + y] = replaced
+
+    }
+  }
+  return writeVoxels(baseVx);
+}
+
+var metalColor = function(value, code, noneColor, bling) {
+  return value === 'Gold' ?
+`material lighting = flat, roughness = 0.15, metalness = 0.9
+  colors = ${code}:${PALETTE.GOLD}` : value === 'Silver' ?
+`material lighting = flat, roughness = 0.2, metalness = 0.9
+  colors = ${code}:${PALETTE.SILVER}` : value === 'Bronze' ?
+`material lighting = flat, roughness = 0.2, metalness = 0.9
+  colors = ${code}:${PALETTE.BRONZE}` : bling ?
+// `material lighting = flat, roughness = 0.2
+//   colors = ${code}:${PALETTE.GOLD}` : value === 'Silver' ?
+// `material lighting = flat, roughness = 0.2
+//   colors = ${code}:#BFBFBF` : bling ?
+`material lighting = flat, roughness = 0.0, emissive = ${noneColor} 1.0, opacity = 1
+  colors = ${code}:${noneColor}`: noneColor ?
+`material lighting = flat
+  colors = ${code}:${noneColor}`:
+`material lighting = flat, opacity = 0.0
+  colors = ${code}:#000`;
+}
+
+var earringColor = function(earrings) {
+  var base = metalColor(earrings.base, 'D')
+  var dangle = metalColor(earrings.dangle, 'S', earrings.dangle, earrings.bling)
+  var hoops = metalColor(earrings.hoops, 'T')
+  return [base, dangle, hoops].join('\n');
+}
+
+// Trait addons are merged layer by layer, lowest priority first, so a layer
+// wins the voxels it shares with the layers below it. An addon in addons.js
+// can set its own `priority` to move in front of or behind another layer.
+var LAYERS = {
+  hair: { priority: 10, addon: modelData => modelData.hair.addon },
+  clothing: { priority: 20, addon: modelData => modelData.clothingAddon },
+  shades: { priority: 30, addon: modelData => modelData.shades.addon },
+  smoking: { priority: 40, addon: modelData => modelData.smoking.addon },
+  hats: { priority: 50, addon: modelData => modelData.hats.addon },
+}
+
+// layer names in merge order for this model
+var layerOrder = function(modelData) {
+  var priority = function(name) {
+    var addon = LAYERS[name].addon(modelData);
+    return addon && addon.priority !== undefined ? addon.priority : LAYERS[name].priority;
+  }
+  return Object.keys(LAYERS).sort((a, b) => priority(a) - priority(b));
+}
+
+// the base monkie with all trait addons merged in. modelData.layers can be
+// {order, hidden}, both lists of layer names, to preview another merge order
+// or leave layers out.
+var composeVoxels = function(modelData) {
+  var voxels = modelData.gender === 'Monkie' ? baseMonkie : baseMonkette;
+  var preview = modelData.layers || {};
+  var hidden = preview.hidden || [];
+  (preview.order || layerOrder(modelData)).forEach(function(name) {
+    if (!hidden.includes(name)) {
+      voxels = mergeVoxels(voxels, LAYERS[name].addon(modelData));
+    }
+  });
+  return voxels;
+}
+
+// modelData as returned by attributes.createModel, no DOM or A-Frame needed
+var buildSvoxModel = function(modelData) {
+  var furColor = modelData.hair.furColor
+  var faceColor = modelData.hair.faceColor || PALETTE.face.normal
+
+  var chainColor = metalColor(modelData.chain, 'C');
+  var earColor = earringColor(modelData.earrings);
+  var mouthColor = metalColor(modelData.mouth, 'M', modelData.mouthColor || faceColor);
+  var clothingColor = PALETTE.clothing[modelData.clothing] || furColor;
+  var lensColor = modelData.shades.lensColor || PALETTE.BLACK;
+  var frameColor = modelData.shades.frameColor || PALETTE.BLACK_FRAME;
+  var lensEmission = modelData.shades.lensEmission || 0.5;
+
+  var smoking1Color = modelData.smoking.smoking1Color || PALETTE.BLACK;
+  var smoking2Color = modelData.smoking.smoking2Color || PALETTE.BLACK;
+  var smokingEmission = modelData.smoking.smokingEmission || 0.0;
+
+  var hatsColor = modelData.hats.color || [];
+  var hats1Color = hatsColor[0] || PALETTE.BLACK;
+  var hats2Color = hatsColor[1] || PALETTE.BLACK;
+  var hats3Color = hatsColor[2] || PALETTE.BLACK;
+  var hats4Color = hatsColor[3] || PALETTE.BLACK;
+
+  var voxels = composeVoxels(modelData);
+
+  return `
+    size = ${BASE_DIM[0]}  ${BASE_DIM[1]}  ${BASE_DIM[2]}
+    scale = ${SCALE}
+    rotation = 0 0 0
+    ao = 1 1
+    ${chainColor}
+    ${earColor}
+    ${mouthColor}
+    material lighting = flat, roughness = 0.2, metalness = 1
+      colors = H:${frameColor}
+    material lighting = flat, roughness = 0.2, metalness = 1, emissive = ${lensColor} ${lensEmission}
+      colors = I:${lensColor}
+    material lighting = flat, emissive = ${smoking2Color} ${smokingEmission}
+      colors = L:${smoking2Color}
+    material lighting = flat,  emissive = ${PALETTE.SMOKE} 0.5, deform = 0.2 1, scatter = 0.1
+      colors = N:${PALETTE.SMOKE}
+    material lighting = flat
+      colors = A:${furColor} B:${faceColor} K:${PALETTE.BLACK} E:${clothingColor} F:${PALETTE.CAMO2} G:${PALETTE.CAMO3} J:${smoking1Color} U:${PALETTE.SOLANA2} V:${PALETTE.SOLANA3}
+    material lighting = flat
+      colors = O:${hats1Color} P:${hats2Color} Q:${hats3Color} R:${hats4Color}
+    voxels =
+${voxels}
+  `;
+}
+
+// code -> color of every visible color in a model from buildSvoxModel
+var svoxColors = function(svox) {
+  var colors = {};
+  svox.split(/^\s*material /m).slice(1).forEach(function(material) {
+    if (/opacity = 0(\.0+)?\s*(,|$)/.test(material.split('\n')[0])) {
+      return;
+    }
+    for (const match of material.matchAll(/\b([A-Z]):(#[0-9A-Fa-f]+)/g)) {
+      colors[match[1]] = match[2];
+    }
+  });
+  return colors;
+}
+
+export default {
+  BASE_DIM: BASE_DIM,
+  SCALE: SCALE,
+  parseVoxels: parseVoxels,
+  mergeVoxels: mergeVoxels,
+  overlap: overlap,
+  layerOrder: layerOrder,
+  validateAddon: validateAddon,
+  composeVoxels: composeVoxels,
+  buildSvoxModel: buildSvoxModel,
+  svoxColors: svoxColors,
+}
@@ -0,0 +1,257 @@
+// An A-Frame component that orbits the camera entity around a target point.
+//   mouse: drag to orbit, right or shift drag to pan, wheel to zoom
+//   touch: one finger to orbit, two fingers to pan and pinch to zoom
+//   keys: arrows to orbit, shift + arrows to pan, + and - to zoom
+// setView(name) glides to one of the VIEWS.
+// AFRAME and THREE are the globals from aframe.
+
+var VIEWS = {
+  front: { theta: 0, phi: Math.PI / 2 },
+  side: { theta: Math.PI / 2, phi: Math.PI / 2 },
+  threeQuarter: { theta: Math.PI / 4, phi: Math.PI / 2 - 0.35 },
+  // straight down would leave the camera's up direction undefined
+  top: { theta: 0, phi: 0.01 },
+};
+
+function ease(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+// from a to b the short way round
+function lerpAngle(a, b, t) {
+  var d = (b - a) % (2 * Math.PI);
+  if (d > Math.PI) {
+    d -= 2 * Math.PI;
+  } else if (d < -Math.PI) {
+    d += 2 * Math.PI;
+  }
+  return a + d * t;
+}
+
+function typing(event) {
+  return ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName);
+}
+
+AFRAME.registerComponent('orbit-controls', {
+  schema: {
+    target: { type: 'vec3', default: { x: 0, y: 1.8, z: 0 } },
+    minDistance: { default: 0.8 },
+    maxDistance: { default: 12 },
+    // radians per pixel dragged and per arrow key press
+    rotateSpeed: { default: 0.005 },
+    keyAngle: { default: 0.05 },
+    // milliseconds for setView
+    transition: { default: 600 },
+  },
+
+  init() {
+    this.target = new THREE.Vector3().copy(this.data.target);
+    this.spherical = new THREE.Spherical().setFromVector3(this.el.object3D.position.clone().sub(this.target));
+    this.distance = this.spherical.radius;
+    this.pointer = null;
+    this.touches = null;
+    this.glide = null;
+    this.matrix = new THREE.Matrix4();
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onTouchStart = this.onTouchStart.bind(this);
+    this.onTouchMove = this.onTouchMove.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onContextMenu = event => event.preventDefault();
+
+    this.apply();
+  },
+
+  play() {
+    var canvas = this.el.sceneEl.canvas;
+    canvas.addEventListener('mousedown', this.onPointerDown);
+    window.addEventListener('mousemove', this.onPointerMove);
+    window.addEventListener('mouseup', this.onPointerUp);
+    canvas.addEventListener('wheel', this.onWheel, { passive: false });
+    canvas.addEventListener('touchstart', this.onTouchStart, { passive: false });
+    canvas.addEventListener('touchmove', this.onTouchMove, { passive: false });
+    canvas.addEventListener('contextmenu', this.onContextMenu);
+    window.addEventListener('keydown', this.onKeyDown);
+  },
+
+  pause() {
+    var canvas = this.el.sceneEl.canvas;
+    canvas.removeEventListener('mousedown', this.onPointerDown);
+    window.removeEventListener('mousemove', this.onPointerMove);
+    window.removeEventListener('mouseup', this.onPointerUp);
+    canvas.removeEventListener('wheel', this.onWheel);
+    canvas.removeEventListener('touchstart', this.onTouchStart);
+    canvas.removeEventListener('touchmove', this.onTouchMove);
+    canvas.removeEventListener('contextmenu', this.onContextMenu);
+    window.removeEventListener('keydown', this.onKeyDown);
+  },
+
+  tick(time) {
+    if (!this.glide) {
+      return;
+    }
+    var g = this.glide;
+    g.start = g.start === null ? time : g.start;
+    var t = ease(Math.min(1, (time - g.start) / this.data.transition));
+    this.spherical.theta = lerpAngle(g.from.theta, g.to.theta, t);
+    this.spherical.phi = g.from.phi + (g.to.phi - g.from.phi) * t;
+    this.spherical.radius = g.from.radius + (g.to.radius - g.from.radius) * t;
+    this.target.lerpVectors(g.from.target, g.to.target, t);
+    this.apply();
+    if (t === 1) {
+      this.glide = null;
+    }
+  },
+
+  // 'front', 'side', 'threeQuarter' or 'top', around the starting target and
+  // at the starting distance
+  setView(name) {
+    var view = VIEWS[name];
+    this.glide = {
+      start: null,
+      from: {
+        theta: this.spherical.theta,
+        phi: this.spherical.phi,
+        radius: this.spherical.radius,
+        target: this.target.clone(),
+      },
+      to: {
+        theta: view.theta,
+        phi: view.phi,
+        radius: this.distance,
+        target: new THREE.Vector3().copy(this.data.target),
+      },
+    };
+  },
+
+  // puts the camera on the sphere around the target, looking at it
+  apply() {
+    var s = this.spherical;
+    s.phi = Math.min(Math.max(s.phi, 0.01), Math.PI - 0.01);
+    s.radius = Math.min(Math.max(s.radius, this.data.minDistance), this.data.maxDistance);
+    var position = this.el.object3D.position;
+    position.setFromSpherical(s).add(this.target);
+    this.matrix.lookAt(position, this.target, this.el.object3D.up);
+    this.el.object3D.quaternion.setFromRotationMatrix(this.matrix);
+    this.el.object3D.updateMatrix();
+  },
+
+  rotate(dx, dy) {
+    this.glide = null;
+    this.spherical.theta -= dx;
+    this.spherical.phi -= dy;
+    this.apply();
+  },
+
+  // dx, dy in pixels, so the target sticks to the pointer
+  pan(dx, dy) {
+    this.glide = null;
+    var camera = this.el.getObject3D('camera');
+    var height = this.el.sceneEl.canvas.clientHeight || 1;
+    var scale = 2 * this.spherical.radius * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / height;
+    var right = new THREE.Vector3().setFromMatrixColumn(this.el.object3D.matrix, 0);
+    var up = new THREE.Vector3().setFromMatrixColumn(this.el.object3D.matrix, 1);
+    this.target.addScaledVector(right, -dx * scale).addScaledVector(up, dy * scale);
+    this.apply();
+  },
+
+  zoom(factor) {
+    this.glide = null;
+    this.spherical.radius *= factor;
+    this.apply();
+  },
+
+  onPointerDown(event) {
+    this.pointer = {
+      x: event.clientX,
+      y: event.clientY,
+      pan: event.button === 2 || event.shiftKey,
+    };
+  },
+
+  onPointerMove(event) {
+    if (!this.pointer) {
+      return;
+    }
+    var dx = event.clientX - this.pointer.x;
+    var dy = event.clientY - this.pointer.y;
+    this.pointer.x = event.clientX;
+    this.pointer.y = event.clientY;
+    if (this.pointer.pan) {
+      this.pan(dx, dy);
+    } else {
+      this.rotate(dx * this.data.rotateSpeed, dy * this.data.rotateSpeed);
+    }
+  },
+
+  onPointerUp() {
+    this.pointer = null;
+  },
+
+  onWheel(event) {
+    event.preventDefault();
+    this.zoom(event.deltaY > 0 ? 1.1 : 1 / 1.1);
+  },
+
+  onTouchStart(event) {
+    event.preventDefault();
+    this.touches = Array.from(event.touches).map(t => ({ x: t.clientX, y: t.clientY }));
+  },
+
+  onTouchMove(event) {
+    event.preventDefault();
+    var touches = Array.from(event.touches).map(t => ({ x: t.clientX, y: t.clientY }));
+    var last = this.touches;
+    this.touches = touches;
+    if (!last || last.length !== touches.length) {
+      return;
+    }
+    if (touches.length === 1) {
+      this.rotate((touches[0].x - last[0].x) * this.data.rotateSpeed, (touches[0].y - last[0].y) * this.data.rotateSpeed);
+    } else if (touches.length === 2) {
+      var spread = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+      var before = spread(last[0], last[1]);
+      if (before > 0) {
+        this.zoom(before / Math.max(spread(touches[0], touches[1]), 1));
+      }
+      this.pan((touches[0].x + touches[1].x - last[0].x - last[1].x) / 2,
+          (touches[0].y + touches[1].y - last[0].y - last[1].y) / 2);
+    }
+  },
+
+  onKeyDown(event) {
+    if (typing(event)) {
+      return;
+    }
+    var step = this.data.keyAngle;
+    var pixels = 20;
+    var arrows = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1],
+    };
+    if (event.key in arrows) {
+      var a = arrows[event.key];
+      if (event.shiftKey) {
+        this.pan(a[0] * pixels, a[1] * pixels);
+      } else {
+        this.rotate(a[0] * step, a[1] * step);
+      }
+    } else if (event.key === '+' || event.key === '=') {
+      this.zoom(1 / 1.1);
+    } else if (event.key === '-') {
+      this.zoom(1.1);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  },
+});
+
+export default {
+  VIEWS: VIEWS,
+}
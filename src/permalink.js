@@ -0,0 +1,49 @@
+import attributes from './attributes.js';
+
+export default {
+  // ?family=Bananos&gender=Monkie&types=Brown... or, for a seeded random
+  // monkie, just ?seed=abc123 with odds=real when it used the real odds, or
+  // ?token=x500 for a token from the collection
+  encode(values, linked) {
+    var params = new URLSearchParams();
+    if (linked && linked.token) {
+      params.set('token', linked.token);
+    } else if (linked && linked.seed) {
+      params.set('seed', linked.seed);
+      if (linked.realOdds) {
+        params.set('odds', 'real');
+      }
+    } else {
+      for (const key in attributes.defaults) {
+        params.set(key, values[key]);
+      }
+    }
+    return '?' + params.toString();
+  },
+  // options that no longer exist fall back to the default and get a warning,
+  // ?token=x500 links to a token from the collection instead
+  decode(search) {
+    var params = new URLSearchParams(search);
+    var values = {};
+    var warnings = [];
+    for (const [key, value] of params) {
+      if (key === 'seed' || key === 'odds' || key === 'token') {
+        continue;
+      } else if (!(key in attributes.defaults)) {
+        warnings.push(`Ignoring unknown "${key}" in link`);
+      } else if (!attributes.opts[key].includes(value)) {
+        values[key] = attributes.originalDefaults[key];
+        warnings.push(`Unknown ${key} "${value}" in link, using ${values[key]}`);
+      } else {
+        values[key] = value;
+      }
+    }
+    return {
+      values: values,
+      warnings: warnings,
+      seed: params.get('seed'),
+      realOdds: params.get('odds') === 'real',
+      token: params.get('token'),
+    };
+  },
+}
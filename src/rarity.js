@@ -0,0 +1,91 @@
+import attributes from './attributes.js';
+import traits from './traits.js';
+
+// every attribute except gender, Monkiez and Monkettez are ranked separately
+var KEYS = Object.keys(attributes.defaults).filter(key => key !== 'gender');
+
+function traitCount(values) {
+  return KEYS.filter(key => attributes.opts[key].includes('None') && values[key] !== 'None').length;
+}
+
+function frequencies(tokens) {
+  var collections = {};
+  tokens.forEach(function(token) {
+    var values = traits.normalize(token);
+    var c = collections[values.gender] = collections[values.gender] || { size: 0, counts: {}, traitCounts: {} };
+    c.size++;
+    KEYS.forEach(function(key) {
+      c.counts[key] = c.counts[key] || {};
+      c.counts[key][values[key]] = (c.counts[key][values[key]] || 0) + 1;
+    });
+    var n = traitCount(values);
+    c.traitCounts[n] = (c.traitCounts[n] || 0) + 1;
+  });
+  return collections;
+}
+
+// Builds the rarity tables for a list of tokens from metadata/*-attributes.json.
+//   score: sum of 1 / frequency over all traits, higher is rarer
+//   probability: product of all trait frequencies, lower is rarer
+//   traitCount: number of optional traits (hats, shades...) that aren't None
+// An option nobody in the collection has counts as 1 of a kind.
+function build(tokens) {
+  var collections = frequencies(tokens);
+
+  function option(gender, key, value) {
+    var c = collections[gender];
+    var count = c.counts[key][value] || 0;
+    return { count: count, size: c.size, frequency: count / c.size };
+  }
+
+  function stats(gender, values) {
+    var c = collections[gender];
+    var score = 0;
+    var probability = 1;
+    KEYS.forEach(function(key) {
+      var frequency = Math.max(option(gender, key, values[key]).frequency, 1 / c.size);
+      score += 1 / frequency;
+      probability *= frequency;
+    });
+    var n = traitCount(values);
+    return {
+      score: score,
+      probability: probability,
+      traitCount: n,
+      traitCountFrequency: (c.traitCounts[n] || 0) / c.size,
+    };
+  }
+
+  var ranked = {};
+  tokens.forEach(function(token) {
+    var values = traits.normalize(token);
+    ranked[token.id] = Object.assign({ id: token.id, gender: token.gender }, stats(token.gender, values));
+  });
+  var byGender = {};
+  Object.values(ranked).forEach(function(r) {
+    (byGender[r.gender] = byGender[r.gender] || []).push(r);
+  });
+  Object.values(byGender).forEach(function(list) {
+    list.sort((a, b) => b.score - a.score).forEach((r, i) => r.rank = i + 1);
+  });
+
+  return {
+    collections: collections,
+    option: option,
+    token(id) {
+      return ranked[id] || null;
+    },
+    // rarity of any combination, ranked against the real tokens of that gender
+    combination(values) {
+      var s = stats(values.gender, values);
+      var list = byGender[values.gender];
+      s.rank = Math.min(list.filter(r => r.score > s.score).length + 1, list.length);
+      s.size = list.length;
+      return s;
+    },
+  };
+}
+
+export default {
+  build: build,
+}
@@ -9,6 +9,19 @@ const router = createRouter({
       name: 'home',
       component: HomeView
     },
+    {
+      path: '/explore',
+      name: 'explore',
+      component: () => import('../views/ExploreView.vue')
+    },
+    {
+      path: '/token/:id',
+      name: 'token',
+      component: () => import('../views/TokenView.vue'),
+      props: true,
+      // the viewer takes the whole window, the details float on top
+      meta: { fullscreen: true }
+    },
     {
       path: '/about',
       name: 'about',
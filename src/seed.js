@@ -0,0 +1,57 @@
+// Seeded random numbers so a seed string (e.g. a transaction hash) always
+// yields the same monkie: cyrb128 hashes the string into the 128 bit state
+// of an sfc32 generator.
+
+function cyrb128(str) {
+  var h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for (var i = 0; i < str.length; i++) {
+    var k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= (h2 ^ h3 ^ h4);
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+function sfc32(a, b, c, d) {
+  return function() {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    var t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+}
+
+export default {
+  // a Math.random replacement for the given seed string
+  random(seed) {
+    var h = cyrb128(seed);
+    var random = sfc32(h[0], h[1], h[2], h[3]);
+    // the first few numbers still look a lot like the seed hash
+    for (var i = 0; i < 15; i++) {
+      random();
+    }
+    return random;
+  },
+  // a 128 bit hex digest, to key things by a long string
+  hash(str) {
+    return cyrb128(str).map(h => h.toString(16).padStart(8, '0')).join('');
+  },
+  create() {
+    return Math.random().toString(36).slice(2, 10);
+  },
+}
@@ -0,0 +1,107 @@
+import attributes from './attributes.js';
+
+// on-chain trait_type -> attribute key
+var TRAITS = {
+  'Mob Family': 'family',
+  'Types': 'types',
+  'Hair Color': 'types',
+  'Chain': 'chain',
+  'Earrings': 'earrings',
+  'Grill': 'mouth',
+  'Lipstick': 'mouth',
+  'Clothing': 'clothing',
+  'Shades': 'shades',
+  'Smoking': 'smoking',
+  'Hats': 'hats',
+  'Background': 'background',
+}
+
+// on-chain trait values that are spelled differently from our option names
+var ALIASES = {
+  family: {
+    'Orangatanos': 'Orangutanos',
+  },
+  earrings: {
+    'Gold Hoop': 'Hoops',
+  },
+  smoking: {
+    'none': 'None',
+    'Smoking - Vape': 'Vape',
+    'Smoking - Cigarette': 'Cigarette',
+    'Smoking - Pipe': 'Pipe',
+    'Smoking - Cigar': 'Cigar',
+  },
+  hats: {
+    'none': 'None',
+    'Black Backwards Cap': 'Black Cap Backwards',
+    'Red Backwards Cap': 'Red Cap Backwards',
+    'Blue Backwards Cap': 'Blue Cap Backwards',
+    'Yellow Backwards Cap': 'Yellow Cap Backwards',
+    'Green Backwards Cap': 'Green Cap Backwards',
+    'Camo Backwards Cap': 'Camo Cap Backwards',
+    'Solana Backwards Cap': 'Solana Cap Backwards',
+  },
+}
+
+function toOption(trait, value) {
+  var key = TRAITS[trait]
+  var option = key && ((ALIASES[key] || {})[value] || value)
+  return key && attributes.opts[key].includes(option) ? option : null
+}
+
+export default {
+  traits: TRAITS,
+  aliases: ALIASES,
+  // on-chain traits under attribute keys with aliases applied, including values
+  // that have no 3D option yet, 'None' for traits the token doesn't have
+  normalize(token) {
+    var values = {}
+    for (const key in attributes.defaults) {
+      values[key] = 'None'
+    }
+    values.gender = token.gender
+    for (const trait in token.attr) {
+      const key = TRAITS[trait]
+      if (key) {
+        values[key] = (ALIASES[key] || {})[token.attr[trait]] || token.attr[trait]
+      }
+    }
+    return values
+  },
+  // maps a token from metadata/*-attributes.json onto attributes.defaults keys
+  fromToken(token) {
+    var values = {}
+    var unknown = []
+    for (const key in attributes.defaults) {
+      values[key] = attributes.opts[key].includes('None') ? 'None' : attributes.originalDefaults[key]
+    }
+    values.gender = token.gender
+    for (const trait in token.attr) {
+      const value = token.attr[trait]
+      const option = toOption(trait, value)
+      if (option) {
+        values[TRAITS[trait]] = option
+      } else {
+        unknown.push({ trait: trait, value: value })
+      }
+    }
+    return { values: values, unknown: unknown }
+  },
+  // every on-chain trait value in tokens that has no 3D option yet
+  coverage(tokens) {
+    var missing = {}
+    for (const token of tokens) {
+      for (const u of this.fromToken(token).unknown) {
+        const id = u.trait + ': ' + u.value
+        missing[id] = missing[id] || {
+          trait: u.trait,
+          key: TRAITS[u.trait] || null,
+          value: u.value,
+          tokens: [],
+        }
+        missing[id].tokens.push(token.id)
+      }
+    }
+    return Object.values(missing).sort((a, b) => a.trait.localeCompare(b.trait) || b.tokens.length - a.tokens.length)
+  },
+}
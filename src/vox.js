@@ -0,0 +1,289 @@
+// Reads MagicaVoxel .vox files into the {offset, dimension, voxels} addon
+// shape used in addons.js, and writes composed monkies back out.
+// MagicaVoxel is z-up and faces -y, svox is y-up and faces +z, so a
+// MagicaVoxel (x, y, z) lands on svox (x, z, -y).
+
+// MagicaVoxel position of svox voxel [0, 0, 0] when the trait was modelled on
+// top of models/base_mob_monkie.vox
+var MONKIE_ORIGIN = [13, 28, 13];
+
+function chunkId(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function hex(r, g, b) {
+  return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0').toUpperCase()).join('');
+}
+
+// the first model in the file, in MagicaVoxel coordinates
+function read(buffer) {
+  var bytes = new Uint8Array(buffer);
+  var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (chunkId(bytes, 0) !== 'VOX ' || chunkId(bytes, 8) !== 'MAIN') {
+    throw "error, not a MagicaVoxel .vox file";
+  }
+
+  var size = null;
+  var voxels = null;
+  var palette = null;
+  var offset = 20 + view.getInt32(12, true);
+  while (offset < bytes.length) {
+    var id = chunkId(bytes, offset);
+    var content = offset + 12;
+    if (id === 'SIZE' && !size) {
+      size = [0, 4, 8].map(i => view.getInt32(content + i, true));
+    } else if (id === 'XYZI' && !voxels) {
+      voxels = [];
+      var count = view.getInt32(content, true);
+      for (var i = 0; i < count; i++) {
+        var v = content + 4 + i * 4;
+        voxels.push({ x: bytes[v], y: bytes[v + 1], z: bytes[v + 2], index: bytes[v + 3] });
+      }
+    } else if (id === 'RGBA') {
+      palette = [];
+      for (var c = 0; c < 256; c++) {
+        palette.push(hex(bytes[content + c * 4], bytes[content + c * 4 + 1], bytes[content + c * 4 + 2]));
+      }
+    }
+    offset = content + view.getInt32(offset + 4, true) + view.getInt32(offset + 8, true);
+  }
+
+  if (!size || !voxels) {
+    throw "error, .vox file has no model";
+  }
+  if (!palette) {
+    throw "error, .vox file has no RGBA palette, save it from MagicaVoxel 0.99 or later";
+  }
+  // color index i refers to palette entry i - 1
+  voxels.forEach(v => v.color = palette[v.index - 1]);
+  return { size: size, voxels: voxels };
+}
+
+// svox voxel rows of the points, [x, y, z] min at the start of the first row
+function grid(points, min, dimension, empty) {
+  var voxels = [];
+  for (var z = 0; z < dimension[2]; z++) {
+    voxels.push([]);
+    for (var y = 0; y < dimension[1]; y++) {
+      voxels[z].push(new Array(dimension[0]).fill(empty));
+    }
+  }
+  points.forEach(p => voxels[p.z - min[2]][p.y - min[1]][p.x - min[0]] = p.code);
+  return voxels.map(row => row.map(line => line.join('')).join(' '));
+}
+
+function bounds(points) {
+  var min = ['x', 'y', 'z'].map(a => Math.min(...points.map(p => p[a])));
+  var max = ['x', 'y', 'z'].map(a => Math.max(...points.map(p => p[a])));
+  return { min: min, dimension: [0, 1, 2].map(a => max[a] - min[a] + 1) };
+}
+
+// how many points are outside a dimension grid and where
+function describeOutside(outside, dimension) {
+  var range = a => Math.min(...outside.map(p => p[a])) + '..' + Math.max(...outside.map(p => p[a]));
+  var colors = [...new Set(outside.map(p => p.color))];
+  return outside.length + " voxels are outside the " + dimension.join(' x ') + " grid"
+      + " (x " + range('x') + ", y " + range('y') + ", z " + range('z') + " in svox coordinates,"
+      + " colors " + colors.join(' ') + ")";
+}
+
+// options.codes: color codes to use for the addon, in order of how many voxels
+//   have that color, e.g. ['O', 'P', 'Q', 'R'] for hats or ['H', 'I'] for shades
+// options.origin: MagicaVoxel position of svox voxel [0, 0, 0], by default the
+//   .vox is taken to be the svox grid itself
+// options.base: the .vox the trait was modelled on top of, in the same place,
+//   e.g. models/base_mob_monkie.vox. Voxels it has in the same color are left
+//   out, so only the trait is in the addon, and voxels only it has are erased.
+// options.dimension: the grid the addon has to fit in, e.g. the monkie's
+// options.crop: drop the voxels outside options.dimension instead of failing,
+//   they are in the result's cropped points and warnings
+function toAddon(buffer, options) {
+  var vox = read(buffer);
+  var codes = options.codes;
+  var origin = options.origin || [0, vox.size[1] - 1, 0];
+
+  var voxels = vox.voxels;
+  var erased = [];
+  if (options.base) {
+    var base = read(options.base);
+    var key = v => v.x + ' ' + v.y + ' ' + v.z;
+    var baseColors = new Map(base.voxels.map(v => [key(v), v.color]));
+    var modelled = new Set(voxels.map(key));
+    voxels = voxels.filter(v => baseColors.get(key(v)) !== v.color);
+    erased = base.voxels.filter(v => !modelled.has(key(v)));
+    if (voxels.length === 0 && erased.length === 0) {
+      throw "error, the model is the same as its base, there's no trait in it";
+    }
+  }
+
+  var toPoint = (v, code) => ({
+    x: v.x - origin[0],
+    y: v.z - origin[2],
+    z: origin[1] - v.y,
+    color: v.color,
+    code: code,
+  });
+  var points = voxels.map(v => toPoint(v, null))
+    .concat(erased.map(v => toPoint(v, '-')));
+
+  var cropped = [];
+  if (options.dimension) {
+    var inside = p => [p.x, p.y, p.z].every((c, a) => c >= 0 && c < options.dimension[a]);
+    var outside = points.filter(p => !inside(p));
+    if (outside.length && !options.crop) {
+      throw "error, " + describeOutside(outside, options.dimension) + ", keep the trait inside it or crop it";
+    }
+    cropped = outside;
+    points = points.filter(inside);
+    if (points.length === 0) {
+      throw "error, the whole trait is outside the " + options.dimension.join(' x ') + " grid";
+    }
+  }
+
+  var counts = {};
+  points.filter(p => !p.code).forEach(p => counts[p.color] = (counts[p.color] || 0) + 1);
+  var colors = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  if (colors.length > codes.length) {
+    throw "error, " + colors.length + " colors but only " + codes.length + " codes (" + codes.join(' ') + ")";
+  }
+  points.forEach(p => p.code = p.code || codes[colors.indexOf(p.color)]);
+
+  var box = bounds(points);
+  var min = box.min;
+  var dimension = box.dimension;
+
+  // trailing spaces get a '.' like the hand written addons, so editors keep them
+  var rows = grid(points, min, dimension, ' ').map(row => row.replace(/ $/, '.'));
+
+  var palette = {};
+  colors.forEach((color, i) => palette[codes[i]] = color);
+
+  return {
+    addon: {
+      offset: min,
+      dimension: dimension,
+      voxels: '\n' + rows.join('\n'),
+    },
+    colors: colors,
+    palette: palette,
+    cropped: cropped,
+    warnings: cropped.length ? [describeOutside(cropped, options.dimension) + ', cropped them'] : [],
+  };
+}
+
+// A whole .vox model as a smoothvoxels model string, e.g. for a pedestal,
+// with its bottom center at the entity's position.
+// options.scale: meters per voxel, 0.07 like the monkies by default
+function toSvox(buffer, options) {
+  var vox = read(buffer);
+  var scale = (options && options.scale) || 0.07;
+  var colors = [];
+  vox.voxels.forEach(function(v) {
+    if (!colors.includes(v.color)) {
+      colors.push(v.color);
+    }
+  });
+  var codes = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  if (colors.length > codes.length) {
+    throw "error, " + colors.length + " colors but only " + codes.length + " codes";
+  }
+
+  var points = vox.voxels.map(v => ({
+    x: v.x,
+    y: v.z,
+    z: -v.y,
+    code: codes.charAt(colors.indexOf(v.color)),
+  }));
+  var box = bounds(points);
+
+  return `
+    size = ${box.dimension.join(' ')}
+    scale = ${scale}
+    origin = -y
+    material lighting = flat
+      colors = ${colors.map((color, i) => codes.charAt(i) + ':' + color).join(' ')}
+    voxels =
+${grid(points, box.min, box.dimension, '-').join('\n')}
+  `;
+}
+
+function header(id, a, b) {
+  var view = new DataView(new ArrayBuffer(b === undefined ? 8 : 12));
+  for (var i = 0; i < 4; i++) {
+    view.setUint8(i, id.charCodeAt(i));
+  }
+  view.setInt32(4, a, true);
+  if (b !== undefined) {
+    view.setInt32(8, b, true);
+  }
+  return new Uint8Array(view.buffer);
+}
+
+// voxels: a voxel grid like mergeVoxels returns, colors: code -> '#RRGGBB'.
+// Codes without a color (e.g. invisible materials) are left out.
+function write(voxels, colors) {
+  var rows = voxels.split('\n').filter(r => r.length > 0).map(row => row.split(' '));
+  var size = [rows[0][0].length, rows.length, rows[0].length];
+
+  var palette = [];
+  var xyzi = [];
+  rows.forEach(function(row, z) {
+    row.forEach(function(line, y) {
+      for (var x = 0; x < line.length; x++) {
+        var color = colors[line.charAt(x)];
+        if (!color) {
+          continue;
+        }
+        var index = palette.indexOf(color.toUpperCase());
+        if (index < 0) {
+          index = palette.push(color.toUpperCase()) - 1;
+        }
+        xyzi.push(x, size[1] - 1 - z, y, index + 1);
+      }
+    });
+  });
+  if (palette.length > 255) {
+    throw "error, " + palette.length + " colors don't fit in a .vox palette";
+  }
+
+  var sizeChunk = new DataView(new ArrayBuffer(12));
+  size.forEach((s, i) => sizeChunk.setInt32(i * 4, s, true));
+
+  var xyziChunk = new Uint8Array(4 + xyzi.length);
+  new DataView(xyziChunk.buffer).setInt32(0, xyzi.length / 4, true);
+  xyziChunk.set(xyzi, 4);
+
+  var rgbaChunk = new Uint8Array(256 * 4);
+  palette.forEach(function(color, i) {
+    var h = color.replace('#', '');
+    if (h.length === 3) {
+      h = h.split('').map(c => c + c).join('');
+    }
+    rgbaChunk.set([0, 2, 4].map(c => parseInt(h.substr(c, 2), 16)).concat(255), i * 4);
+  });
+
+  var children = [
+    header('SIZE', 12, 0), new Uint8Array(sizeChunk.buffer),
+    header('XYZI', xyziChunk.length, 0), xyziChunk,
+    header('RGBA', rgbaChunk.length, 0), rgbaChunk,
+  ];
+  var childrenSize = children.reduce((sum, part) => sum + part.length, 0);
+
+  // file header and chunk headers share the id + int32 layout
+  var parts = [header('VOX ', 150), header('MAIN', 0, childrenSize)].concat(children);
+  var vox = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  var offset = 0;
+  parts.forEach(function(part) {
+    vox.set(part, offset);
+    offset += part.length;
+  });
+  return vox.buffer;
+}
+
+export default {
+  MONKIE_ORIGIN: MONKIE_ORIGIN,
+  read: read,
+  toAddon: toAddon,
+  toSvox: toSvox,
+  write: write,
+}
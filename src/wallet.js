@@ -0,0 +1,28 @@
+import { Connection, PublicKey } from '@solana/web3.js';
+
+import monkiezMints from '../metadata/monkiez-token-list.json';
+import monkettezMints from '../metadata/monkettez-token-list.json';
+import collection from './collection.js';
+import holdings from './holdings.js';
+
+var TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNMbGXPxvqhyGSyp1d6kYx1b3');
+
+// point VITE_SOLANA_RPC at a solana-test-validator (http://127.0.0.1:8899)
+// or a mocked JSON-RPC server to try the gallery offline
+var RPC_URL = import.meta.env.VITE_SOLANA_RPC || 'https://api.mainnet-beta.solana.com';
+
+var MOB_MINTS = new Set(monkiezMints.concat(monkettezMints));
+
+export default {
+  connect(url) {
+    return new Connection(url || RPC_URL, 'confirmed');
+  },
+  // the collection tokens owner (a base58 address) holds, see holdings.js
+  heldTokens(connection, owner) {
+    return holdings.mobTokens(connection, new PublicKey(owner), {
+      programId: TOKEN_PROGRAM_ID,
+      mints: MOB_MINTS,
+      find: mint => collection.find(mint),
+    });
+  },
+}
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import holdings from '../src/holdings.js';
+
+var PROGRAM = 'TokenProgram';
+var TOKENS = {
+  mintA: { id: 'x1', mint: 'mintA' },
+  mintB: { id: 'y2', mint: 'mintB' },
+};
+
+function account(mint, amount) {
+  return { account: { data: { parsed: { info: { mint: mint, tokenAmount: { amount: amount } } } } } };
+}
+
+// a connection with only the one RPC call holdings uses, answering with accounts
+function stubConnection(accounts) {
+  var calls = [];
+  return {
+    calls: calls,
+    async getParsedTokenAccountsByOwner(owner, filter) {
+      calls.push({ owner: owner, filter: filter });
+      return { context: { slot: 1 }, value: accounts };
+    },
+  };
+}
+
+function mobTokens(connection) {
+  return holdings.mobTokens(connection, 'owner', {
+    programId: PROGRAM,
+    // mintC is a Mob mint that's missing from the collection metadata
+    mints: new Set(['mintA', 'mintB', 'mintC']),
+    find: mint => TOKENS[mint] || null,
+  });
+}
+
+test('mobTokens asks for the token program accounts of the owner', async function() {
+  var connection = stubConnection([]);
+  assert.deepEqual(await mobTokens(connection), []);
+  assert.deepEqual(connection.calls, [{ owner: 'owner', filter: { programId: PROGRAM } }]);
+});
+
+test('mobTokens returns the collection tokens of held Mob mints', async function() {
+  var tokens = await mobTokens(stubConnection([account('mintA', '1'), account('mintB', '1')]));
+  assert.deepEqual(tokens, [TOKENS.mintA, TOKENS.mintB]);
+});
+
+test('mobTokens skips mints outside the Mob', async function() {
+  var tokens = await mobTokens(stubConnection([account('USDC', '1'), account('mintA', '1')]));
+  assert.deepEqual(tokens, [TOKENS.mintA]);
+});
+
+test('mobTokens skips empty and fungible accounts', async function() {
+  var tokens = await mobTokens(stubConnection([account('mintA', '0'), account('mintB', '25')]));
+  assert.deepEqual(tokens, []);
+});
+
+test('mobTokens skips Mob mints the collection does not know', async function() {
+  var tokens = await mobTokens(stubConnection([account('mintC', '1'), account('mintB', '1')]));
+  assert.deepEqual(tokens, [TOKENS.mintB]);
+});
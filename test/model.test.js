@@ -0,0 +1,27 @@
+import test from 'node:test';
+
+import attributes from '../src/attributes.js';
+import mobModel from '../src/model.js';
+import matchSnapshot from './snapshot.js';
+
+// attribute combinations that between them use every kind of material and
+// addon buildSvoxModel writes, on top of the defaults
+var CASES = {
+  'monkie': {},
+  'monkette': { gender: 'Monkette' },
+  'metal-earrings-chain-grill': { earrings: 'Gold Bar', chain: 'Silver', mouth: 'Bronze' },
+  'bling-earrings': { earrings: 'Emerald', gender: 'Monkette', mouth: 'Red' },
+  'laser-shades': { shades: 'Red Laser' },
+  'metal-shades': { shades: 'Gold', gender: 'Monkette' },
+  'smoking': { smoking: 'Cigar', clothing: 'Camo Jacket' },
+  'vape-solana-jacket': { smoking: 'Vape', clothing: 'Solana Jacket', gender: 'Monkette' },
+  'hats': { hats: 'Solana Panama Hat', types: 'Zombie' },
+  'skeleton': { types: 'Skeleton', hats: 'Black Cap Backwards', earrings: 'Hoops' },
+};
+
+for (const [name, values] of Object.entries(CASES)) {
+  test(`buildSvoxModel ${name}`, function() {
+    var attrs = Object.assign({}, attributes.originalDefaults, values);
+    matchSnapshot(name + '.svox', mobModel.buildSvoxModel(attributes.createModel(attrs)));
+  });
+}
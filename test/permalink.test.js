@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import attributes from '../src/attributes.js';
+import permalink from '../src/permalink.js';
+
+test('decode falls back to the original default for options that no longer exist', function() {
+  // the Creator keeps its selection in attributes.defaults
+  attributes.defaults.family = 'Chimplinos';
+  try {
+    var linked = permalink.decode('?family=Gorillos&gender=Monkette');
+    assert.deepEqual(linked.values, { family: 'Bananos', gender: 'Monkette' });
+    assert.deepEqual(linked.warnings, ['Unknown family "Gorillos" in link, using Bananos']);
+  } finally {
+    attributes.defaults.family = attributes.originalDefaults.family;
+  }
+});
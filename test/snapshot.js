@@ -0,0 +1,19 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+// Compares text with test/snapshots/<name>, which is written when it doesn't
+// exist yet or when running with UPDATE_SNAPSHOTS=1. On CI a missing
+// snapshot fails instead, so it has to be committed.
+export default function matchSnapshot(name, text) {
+  var file = new URL('./snapshots/' + name, import.meta.url);
+  var update = !!process.env.UPDATE_SNAPSHOTS;
+  if (!update && !fs.existsSync(file)) {
+    assert.ok(!process.env.CI, `missing snapshot ${name}, run the tests without CI to write it`);
+    update = true;
+  }
+  if (update) {
+    fs.writeFileSync(file, text);
+    return;
+  }
+  assert.equal(text, fs.readFileSync(file, 'utf-8'), `snapshot ${name} changed, run with UPDATE_SNAPSHOTS=1 if that was intended`);
+}
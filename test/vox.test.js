@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import test from 'node:test';
+
+import vox from '../src/vox.js';
+import matchSnapshot from './snapshot.js';
+
+var COLORS = { A: '#663300', B: '#EE0000', C: '#CC9966' };
+
+// a 3 x 2 x 2 base and a trait modelled on top of it, written the way
+// MagicaVoxel would save them
+var BASE = vox.write(`
+AAA AAA
+AAA AAA`, COLORS);
+var TRAIT = vox.write(`
+AAB AAA
+-AA CAA`, COLORS);
+
+test('toAddon keeps only what the trait changes on its base', function() {
+  var result = vox.toAddon(TRAIT, { codes: ['O', 'P'], base: BASE, dimension: [3, 2, 2] });
+  assert.deepEqual(result.addon.offset, [0, 0, 0]);
+  assert.deepEqual(result.addon.dimension, [3, 2, 2]);
+  assert.equal(result.addon.voxels, '\n  O   .\n-   P .');
+  assert.deepEqual(result.palette, { O: '#EE0000', P: '#CC9966' });
+});
+
+test('toAddon without a base takes every voxel', function() {
+  var result = vox.toAddon(TRAIT, { codes: ['O', 'P', 'Q'] });
+  assert.equal(result.colors[0], '#663300');
+  assert.equal(result.addon.voxels, '\nOOP OOO\n OO QOO');
+});
+
+test('toAddon refuses traits outside the grid', function() {
+  assert.throws(() => vox.toAddon(TRAIT, { codes: ['O', 'P'], base: BASE, dimension: [2, 2, 2] }),
+      /1 voxels are outside the 2 x 2 x 2 grid \(x 2\.\.2, y 0\.\.0, z 0\.\.0 .*colors #EE0000\)/);
+});
+
+test('toAddon crops what is outside the grid when asked to', function() {
+  var result = vox.toAddon(TRAIT, { codes: ['O'], base: BASE, dimension: [2, 2, 2], crop: true });
+  assert.deepEqual(result.addon.offset, [0, 0, 1]);
+  assert.deepEqual(result.addon.dimension, [1, 2, 1]);
+  assert.equal(result.addon.voxels, '\n- O');
+  assert.deepEqual(result.palette, { O: '#CC9966' });
+  assert.deepEqual(result.cropped.map(p => [p.x, p.y, p.z, p.color]), [[2, 0, 0, '#EE0000']]);
+  assert.match(result.warnings[0], /1 voxels are outside the 2 x 2 x 2 grid .*cropped them/);
+});
+
+test('import_vox.mjs imports a shipped model on top of the base monkie', function() {
+  var script = new URL('../import_vox.mjs', import.meta.url).pathname;
+  var model = new URL('../models/redtape.vox', import.meta.url).pathname;
+  var output = execFileSync('node', [script, model, '--name', 'redtape', '--codes', 'O,P,Q,R,S', '--monkie', '--crop'],
+      { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+  matchSnapshot('redtape.addon', output);
+});
+
+test('toAddon refuses a trait that is just its base', function() {
+  assert.throws(() => vox.toAddon(BASE, { codes: ['O'], base: BASE }), /no trait in it/);
+});
@@ -0,0 +1,99 @@
+// Checks every addon in src/addons.js before it gets a chance to break
+// rendering: row and column counts, bounds against both base models and
+// color codes that have no material in the svox model. Also warns about
+// options of different traits whose addons overlap, unless a rule in
+// src/attributes.js already keeps them apart.
+//
+//   node validate_addons.mjs
+
+import ADDONS from './src/addons.js';
+import attributes from './src/attributes.js';
+import mobModel from './src/model.js';
+import baseMonkie from './src/assets/monkie.js';
+import baseMonkette from './src/assets/monkette.js';
+
+const BASES = {
+  Monkie: baseMonkie,
+  Monkette: baseMonkette,
+};
+
+function colorCodes(gender) {
+  const svox = mobModel.buildSvoxModel(attributes.createModel(Object.assign({}, attributes.defaults, { gender })));
+  return [...svox.matchAll(/\b([A-Z]):#/g)].map(match => match[1]);
+}
+
+let failures = 0;
+
+for (const gender in BASES) {
+  const colors = colorCodes(gender);
+
+  for (const name in ADDONS) {
+    const problems = mobModel.validateAddon(ADDONS[name], colors);
+    if (problems.length === 0) {
+      try {
+        mobModel.mergeVoxels(BASES[gender], ADDONS[name]);
+      } catch (error) {
+        problems.push({ row: null, column: null, message: error.message || error });
+      }
+    }
+
+    for (const p of problems) {
+      const where = p.row ? ` row ${p.row}, column ${p.column}` : '';
+      console.error(`${name} (${gender}):${where} ${p.message}`);
+    }
+    failures += problems.length;
+  }
+}
+
+// the addon each option merges in, per trait
+function optionAddons(key) {
+  const found = [];
+  for (const gender in BASES) {
+    for (const option of attributes.opts[key]) {
+      const values = Object.assign({}, attributes.defaults, { gender, [key]: option });
+      if (!attributes.allowed(values, 'gender', gender)) {
+        continue;
+      }
+      const modelData = attributes.createModel(values);
+      const addon = {
+        types: modelData.hair.addon,
+        clothing: modelData.clothingAddon,
+        shades: modelData.shades.addon,
+        smoking: modelData.smoking.addon,
+        hats: modelData.hats.addon,
+      }[key];
+      if (addon) {
+        found.push({ gender, key, option, addon });
+      }
+    }
+  }
+  return found;
+}
+
+const TRAITS = ['types', 'clothing', 'shades', 'smoking', 'hats'];
+let overlaps = 0;
+
+for (let i = 0; i < TRAITS.length; i++) {
+  for (const a of optionAddons(TRAITS[i])) {
+    for (const b of TRAITS.slice(i + 1).flatMap(optionAddons)) {
+      const values = Object.assign({}, attributes.defaults, { gender: a.gender, [a.key]: a.option, [b.key]: b.option });
+      if (a.gender !== b.gender || attributes.conflicts(values).length > 0) {
+        continue;
+      }
+      const voxels = mobModel.overlap(a.addon, b.addon);
+      if (voxels.length > 0) {
+        console.warn(`warning: ${a.option} ${a.key} and ${b.option} ${b.key} (${a.gender}) overlap in ${voxels.length} voxels, e.g. ${voxels[0].join(' ')}`);
+        overlaps++;
+      }
+    }
+  }
+}
+if (overlaps) {
+  console.warn(`${overlaps} overlapping combinations, add a rule to src/attributes.js if they look wrong`);
+}
+
+if (failures) {
+  console.error(`${failures} problems in ${Object.keys(ADDONS).length} addons`);
+  process.exit(1);
+}
+console.log(`${Object.keys(ADDONS).length} addons ok on ${Object.keys(BASES).join(' and ')}`);